@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Apply Declarative Collection Specs
+ *
+ * Creates the collections, fields and relations described by the JSON specs
+ * in collection-specs/ (see lib/collection-spec.js for the format and the
+ * field presets). Only what is missing is created; where an existing field
+ * differs from its spec the difference is reported and left alone, so the
+ * specs can be applied any number of times.
+ *
+ * Usage:
+ *   node scripts/apply-collection-spec.js [--spec <file-or-dir,...>] [--to <profile>] [--dry-run] [--force] [--break-lock]
+ *
+ * Example (create the "pages" collection locally so a migration does not drop it):
+ *   node scripts/apply-collection-spec.js --spec collection-specs/pages.json --to local
+ *
+ * --to defaults to local.
+ */
+
+import { schemaSnapshot, createCollection, createField, createRelation } from '@directus/sdk';
+import { log, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { confirmApply } from './lib/migration.js';
+import { loadSpecs, expandSpec, planCollectionSpec, hasSpecChanges, displaySpecPlan } from './lib/collection-spec.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const specPaths = getListArg(args, '--spec');
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+
+async function main() {
+  try {
+    const { to: target } = parseProfileArgs(args, { to: 'local' });
+    const specs = loadSpecs(specPaths).map(expandSpec);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('APPLY COLLECTION SPECS', 'magenta');
+    log(`${specs.map(spec => spec.collection).join(', ')} → ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (isDryRun) {
+      log('🔍 DRY RUN MODE - No changes will be applied\n', 'yellow');
+    }
+
+    const client = await connectProfile(target);
+    await acquireLock(client, target, { operation: 'collection spec apply', breakLock, dryRun: isDryRun });
+    const snapshot = await client.request(schemaSnapshot());
+
+    const plans = specs.map(spec => ({ spec, ...planCollectionSpec(spec, snapshot) }));
+    displaySpecPlan(plans);
+
+    const pending = plans.filter(hasSpecChanges);
+    if (pending.length === 0) {
+      log(`✨ ${target.name} already has everything the specs define - nothing to create!\n`, 'green');
+      return;
+    }
+
+    if (isDryRun) {
+      log('🔍 DRY RUN COMPLETE', 'yellow');
+      log(`No changes were applied to ${target.name}`, 'blue');
+      log('Run without --dry-run to create what is missing\n', 'blue');
+      return;
+    }
+
+    if (!isForce && !(await confirmApply(target))) {
+      log('\n❌ Apply cancelled\n', 'yellow');
+      return;
+    }
+
+    // Relations last, so they can point to collections created by another spec
+    for (const { spec, exists, missingFields } of pending) {
+      if (!exists) {
+        log(`🚀 Creating collection ${spec.collection}...`, 'cyan');
+        await client.request(createCollection({ collection: spec.collection, meta: spec.meta, schema: {}, fields: spec.fields }));
+        continue;
+      }
+      for (const field of missingFields) {
+        log(`🚀 Creating field ${spec.collection}.${field.field}...`, 'cyan');
+        await client.request(createField(spec.collection, field));
+      }
+    }
+
+    for (const { missingRelations } of pending) {
+      for (const relation of missingRelations) {
+        log(`🚀 Creating relation ${relation.collection}.${relation.field} → ${relation.related_collection}...`, 'cyan');
+        await client.request(createRelation(relation));
+      }
+    }
+
+    log(`\n✅ Collection specs applied to ${target.name}!\n`, 'green');
+
+  } catch (error) {
+    log('\n❌ Applying collection specs failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
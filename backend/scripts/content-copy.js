@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Copy Content Between Directus Instances
+ *
+ * Copies the items of one or more collections from one profile to another,
+ * e.g. a batch of categories, articles and supporting documents prepared
+ * locally. Items are upserted by a natural key, collections are copied in
+ * relation order and foreign keys between them are remapped to target IDs.
+ *
+ * Usage:
+ *   node scripts/content-copy.js --collections <a,b,c> [--key <collection=field,...>]
+ *                                [--from <profile>] [--to <profile>] [--dry-run] [--force] [--break-lock]
+ *
+ * Example:
+ *   node scripts/content-copy.js --collections article_categories,articles,supporting_documents \
+ *     --key article_categories=slug,articles=slug,supporting_documents=title --dry-run
+ *
+ * Collections without a --key are matched by primary key. Nothing on the target
+ * is deleted.
+ */
+
+import { schemaSnapshot, readItems, createItem, updateItem } from '@directus/sdk';
+import { log, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { confirmApply } from './lib/migration.js';
+import { describeCollection, orderCollections, planCollection, countCopyChanges, displayCopyPlan } from './lib/content-copy.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const collections = getListArg(args, '--collections');
+const keys = new Map(getListArg(args, '--key').map(pair => pair.split('=').map(part => part.trim())));
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+
+async function readAll(client, collection) {
+  return client.request(readItems(collection, { fields: ['*'], limit: -1 }));
+}
+
+/**
+ * Describe each collection as both instances see it: only fields that exist
+ * on the target are written
+ */
+function describeCollections(sourceSchema, targetSchema, ordered) {
+  return ordered.map(collection => {
+    const info = describeCollection(sourceSchema, collection);
+    if (info.singleton) {
+      throw new Error(`${collection} is a singleton; use copy-home-page-data.js for singletons`);
+    }
+
+    const targetFields = targetSchema.fields.filter(field => field.collection === collection).map(field => field.field);
+    if (targetFields.length === 0) {
+      throw new Error(`Collection "${collection}" does not exist on the target - migrate the schema first`);
+    }
+
+    const missing = info.fields.filter(field => !targetFields.includes(field));
+    for (const field of missing) {
+      log(`⚠️  ${collection}.${field} does not exist on the target and is not copied`, 'yellow');
+    }
+    for (const [field, related] of Object.entries(info.relations)) {
+      if (related === 'directus_files') {
+        log(`ℹ️  ${collection}.${field} keeps its file IDs - run sync-files.js to copy the files`, 'blue');
+      } else if (!ordered.includes(related)) {
+        log(`ℹ️  ${collection}.${field} → ${related} is copied unchanged (${related} is not part of this copy)`, 'blue');
+      }
+    }
+
+    const key = keys.get(collection) || info.primaryKey;
+    if (!info.fields.includes(key)) {
+      throw new Error(`${collection} has no field "${key}" to match items by`);
+    }
+
+    return { ...info, key, fields: info.fields.filter(field => targetFields.includes(field)) };
+  });
+}
+
+async function main() {
+  if (collections.length === 0) {
+    log('Usage: node scripts/content-copy.js --collections <a,b,c> [--key <collection=field,...>] [--from <profile>] [--to <profile>] [--dry-run] [--force] [--break-lock]', 'yellow');
+    process.exit(1);
+  }
+
+  try {
+    const { from: source, to: target } = parseProfileArgs(args);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('COPY CONTENT', 'magenta');
+    log(`${source.name} → ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (isDryRun) {
+      log('🔍 DRY RUN MODE - No changes will be applied\n', 'yellow');
+    }
+
+    const sourceClient = await connectProfile(source);
+    const targetClient = await connectProfile(target);
+    await acquireLock(targetClient, target, { operation: `content copy ${source.name} → ${target.name}`, breakLock, dryRun: isDryRun });
+
+    const sourceSchema = await sourceClient.request(schemaSnapshot());
+    const targetSchema = await targetClient.request(schemaSnapshot());
+
+    const ordered = orderCollections(sourceSchema, collections);
+    log(`🔗 Copy order: ${ordered.join(' → ')}\n`, 'cyan');
+    const infos = describeCollections(sourceSchema, targetSchema, ordered);
+
+    const items = new Map();
+    for (const { collection } of infos) {
+      log(`📖 Reading ${collection}...`, 'cyan');
+      items.set(collection, {
+        source: await readAll(sourceClient, collection),
+        target: await readAll(targetClient, collection)
+      });
+    }
+
+    // Plan everything up front; items still to be created have no target ID yet
+    const previewIds = new Map();
+    const plans = infos.map(info => planCollection({
+      info,
+      key: info.key,
+      sourceItems: items.get(info.collection).source,
+      targetItems: items.get(info.collection).target,
+      idMaps: previewIds
+    }));
+
+    displayCopyPlan(plans);
+
+    const counts = countCopyChanges(plans);
+    if (counts.create + counts.update === 0) {
+      log(`✨ ${target.name} already has this content - nothing to copy!\n`, 'green');
+      return;
+    }
+
+    if (isDryRun) {
+      log('🔍 DRY RUN COMPLETE', 'yellow');
+      log(`No changes were applied to ${target.name}`, 'blue');
+      log('Run without --dry-run to copy this content\n', 'blue');
+      return;
+    }
+
+    if (!isForce && !(await confirmApply(target))) {
+      log('\n❌ Copy cancelled\n', 'yellow');
+      return;
+    }
+
+    // Plan each collection again once the collections it points to are written
+    const idMaps = new Map();
+    for (const info of infos) {
+      const { collection } = info;
+      const plan = planCollection({
+        info,
+        key: info.key,
+        sourceItems: items.get(collection).source,
+        targetItems: items.get(collection).target,
+        idMaps
+      });
+
+      log(`🚀 Copying ${collection}...`, 'cyan');
+      for (const change of plan.changes) {
+        if (change.action === 'create') {
+          const created = await targetClient.request(createItem(collection, change.data));
+          idMaps.get(collection).set(change.sourceId, created[info.primaryKey]);
+        } else if (change.action === 'update') {
+          await targetClient.request(updateItem(collection, change.targetId, change.data));
+        }
+      }
+    }
+
+    log(`\n✅ Copied ${counts.create} new and ${counts.update} updated items to ${target.name}!\n`, 'green');
+    log(`  Review the content at ${target.adminUrl}\n`, 'blue');
+
+  } catch (error) {
+    log('\n❌ Copy failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
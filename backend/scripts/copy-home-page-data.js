@@ -1,107 +1,108 @@
 #!/usr/bin/env node
 
 /**
- * Copy home_page data from local to production
+ * Copy singleton data (home_page by default) from one Directus instance to another
+ *
+ * Singleton collections (home_page, global_settings, ...) are detected from
+ * their collection metadata and updated in place, so the target never ends up
+ * with a second item. The changed fields are shown side by side before
+ * anything is written.
+ *
+ * Usage:
+ *   node scripts/copy-home-page-data.js [--collection <name>] [--from <profile>] [--to <profile>] [--dry-run] [--force] [--break-lock]
+ *
+ * --collection defaults to home_page. Regular collections are copied with content-copy.js.
  */
 
-import { createDirectus, authentication, rest, readItems, createItems } from '@directus/sdk';
-
-const LOCAL_URL = 'http://localhost:8056';
-const LOCAL_EMAIL = 'nick@stump.works';
-const LOCAL_PASSWORD = 'admin';
-
-const PROD_URL = 'https://udo-backend-y1w0.onrender.com';
-const PROD_EMAIL = 'nick@stump.works';
-const PROD_PASSWORD = 'admin';
-
-// Colors
-const c = {
-  reset: '\x1b[0m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  cyan: '\x1b[36m'
-};
-
-function log(msg, color = 'reset') {
-  console.log(`${c[color]}${msg}${c.reset}`);
-}
+import { readCollection, readFieldsByCollection, readSingleton, updateSingleton } from '@directus/sdk';
+import { log, getArgValue } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { confirmApply } from './lib/migration.js';
+import { describeCollection, diffSingleton, displayFieldDiff } from './lib/content-copy.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
 
-async function main() {
-  log('\n' + '='.repeat(60), 'magenta');
-  log('COPY HOME_PAGE DATA', 'magenta');
-  log('Local → Production', 'magenta');
-  log('='.repeat(60) + '\n', 'magenta');
+const args = process.argv.slice(2);
+const collection = getArgValue(args, '--collection', 'home_page');
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
 
+async function main() {
   try {
-    // Connect to local
-    log('📡 Connecting to LOCAL Directus...', 'cyan');
-    const localClient = createDirectus(LOCAL_URL).with(rest()).with(authentication());
-    await localClient.login({ email: LOCAL_EMAIL, password: LOCAL_PASSWORD });
-    log('✅ Connected to local\n', 'green');
-
-    // Connect to production
-    log('📡 Connecting to PRODUCTION Directus...', 'cyan');
-    const prodClient = createDirectus(PROD_URL).with(rest()).with(authentication());
-    await prodClient.login({ email: PROD_EMAIL, password: PROD_PASSWORD });
-    log('✅ Connected to production\n', 'green');
-
-    // Read home_page data from local
-    log('📖 Reading home_page data from local...', 'cyan');
-    const localData = await localClient.request(
-      readItems('home_page', {
-        fields: ['*']
-      })
-    );
+    const { from: source, to: target } = parseProfileArgs(args);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log(`COPY ${collection.toUpperCase()} DATA`, 'magenta');
+    log(`${source.name} → ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
 
-    if (!localData) {
-      log('⚠️  No home_page data found in local database', 'yellow');
+    if (isDryRun) {
+      log('🔍 DRY RUN MODE - No changes will be applied\n', 'yellow');
+    }
+
+    const sourceClient = await connectProfile(source);
+    const targetClient = await connectProfile(target);
+    await acquireLock(targetClient, target, { operation: `content copy ${source.name} → ${target.name}`, breakLock, dryRun: isDryRun });
+
+    // Only singletons are copied here: a regular collection would need matching by key
+    const info = describeCollection({
+      collections: [await sourceClient.request(readCollection(collection))],
+      fields: await sourceClient.request(readFieldsByCollection(collection)),
+      relations: []
+    }, collection);
+
+    if (!info.singleton) {
+      throw new Error(`${collection} is not a singleton collection; use content-copy.js to copy its items`);
+    }
+
+    // Read data from both instances
+    log(`📖 Reading ${collection} from ${source.name}...`, 'cyan');
+    const sourceData = await sourceClient.request(readSingleton(collection, { fields: ['*'] }));
+
+    if (!sourceData || sourceData[info.primaryKey] === null || sourceData[info.primaryKey] === undefined) {
+      log(`⚠️  No ${collection} data found in ${source.name} database`, 'yellow');
       log('Nothing to copy!\n', 'yellow');
       return;
     }
 
-    log('✅ Found home_page data in local\n', 'green');
-
-    // Display what will be copied
-    log('Data to copy:', 'cyan');
-    console.log(JSON.stringify(localData, null, 2));
-    console.log('');
-
-    // Check if production already has data
-    log('📖 Checking production home_page...', 'cyan');
-    let prodData;
-    try {
-      prodData = await prodClient.request(
-        readItems('home_page', {
-          fields: ['id']
-        })
-      );
-    } catch (error) {
-      // Collection might be empty, that's fine
-      prodData = null;
+    log(`📖 Reading ${collection} from ${target.name}...`, 'cyan');
+    const targetData = await targetClient.request(readSingleton(collection, { fields: ['*'] }));
+
+    // Show what will change, field by field
+    const changes = diffSingleton(info, sourceData, targetData);
+
+    if (changes.length === 0) {
+      log(`\n✨ ${target.name} ${collection} already matches ${source.name} - nothing to copy!\n`, 'green');
+      return;
     }
 
-    if (prodData) {
-      log('⚠️  WARNING: Production already has home_page data!', 'yellow');
-      log('This will overwrite existing data.\n', 'yellow');
+    log(`\n${changes.length} field(s) differ (${target.name} → ${source.name}):`, 'cyan');
+    displayFieldDiff(changes, { source: source.name, target: target.name });
+
+    if (isDryRun) {
+      log('🔍 DRY RUN COMPLETE', 'yellow');
+      log(`No changes were applied to ${target.name}`, 'blue');
+      log('Run without --dry-run to copy these fields\n', 'blue');
+      return;
     }
 
-    // Copy data to production (remove id to let it auto-generate)
-    log('🚀 Copying data to production...', 'cyan');
-    const { id, ...dataToCreate } = localData; // Remove id
+    if (!isForce && !(await confirmApply(target))) {
+      log('\n❌ Copy cancelled\n', 'yellow');
+      return;
+    }
 
-    const created = await prodClient.request(
-      createItems('home_page', dataToCreate)
+    // Update the singleton in place with only the changed fields
+    log(`🚀 Updating ${collection} on ${target.name}...`, 'cyan');
+    await targetClient.request(
+      updateSingleton(collection, Object.fromEntries(changes.map(({ field, to }) => [field, to])))
     );
 
     log('✅ Data copied successfully!\n', 'green');
-    log('Created 1 item in production', 'green');
+    log(`Updated ${changes.length} field(s) of ${collection} in ${target.name}`, 'green');
 
     log('\nNext steps:', 'cyan');
-    log('  1. Visit https://admin.charlotteudo.org', 'blue');
-    log('  2. Go to Content → Home Page', 'blue');
+    log(`  1. Visit ${target.adminUrl}`, 'blue');
+    log(`  2. Go to Content → ${collection}`, 'blue');
     log('  3. Verify the data was copied correctly\n', 'blue');
 
   } catch (error) {
@@ -111,7 +112,7 @@ async function main() {
       log('\nDetails:', 'red');
       console.error(error.errors);
     }
-    process.exit(1);
+    await releaseAndExit(1);
   }
 }
 
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Schema Diff
+ *
+ * Compares two saved schema snapshots and prints the collection, field and
+ * relation changes needed to turn the first into the second. No Directus
+ * instance is contacted, so no credentials are needed.
+ *
+ * Usage:
+ *   node scripts/diff-snapshots.js <current-snapshot> <target-snapshot> [--json] [--output <file>] [--policy <file>]
+ *                                   [--only <collections>] [--exclude <collections>]
+ *
+ * Example (what applying local to production would change):
+ *   node scripts/diff-snapshots.js production-1760915387021.json local-1760915386721.json
+ *
+ * Options:
+ *   --json             Print the raw diff instead of the summary (the version and policy
+ *                      checks go to stderr and set the exit code as usual)
+ *   --output <file>    Also write the raw diff to a file
+ *   --policy <file>    Migration policy to check the diff against (exits 1 when it is violated)
+ *   --only <list>      Only show changes to these comma-separated collection or collection.field globs
+ *   --exclude <list>   Leave out changes to these collection or collection.field globs
+ *
+ * Snapshot paths are resolved against the current directory first, then
+ * against schema-snapshots/. Snapshots from incompatible Directus versions or
+ * databases are reported and exit 1, as the migration scripts would refuse them.
+ * Fields in scripts/schema-ignore.json are left out of the diff.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { log, logToStderr, getArgValue, getListArg } from './lib/cli.js';
+import { loadSnapshotFile } from './lib/snapshots.js';
+import { diffSnapshots, displayDiff, hasChanges, filterDiff } from './lib/schema-diff.js';
+import { checkPolicy, DEFAULT_POLICY_PATH } from './lib/policy.js';
+import { checkCompatibility, displayCompatibility } from './lib/compatibility.js';
+import { loadIgnoreRules, withoutIgnored } from './lib/ignore.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const outputPath = getArgValue(args, '--output');
+const policyPath = getArgValue(args, '--policy', DEFAULT_POLICY_PATH);
+const filters = { only: getListArg(args, '--only'), exclude: getListArg(args, '--exclude') };
+const positional = args.filter((arg, index) => !arg.startsWith('--') && !['--output', '--policy', '--only', '--exclude'].includes(args[index - 1]));
+
+function main() {
+  // The version and policy checks still run, reported on stderr so stdout stays valid JSON
+  if (asJson) {
+    logToStderr();
+  }
+
+  if (positional.length !== 2) {
+    log('Usage: node scripts/diff-snapshots.js <current-snapshot> <target-snapshot> [--json] [--output <file>]', 'yellow');
+    process.exit(1);
+  }
+
+  try {
+    const current = loadSnapshotFile(positional[0]);
+    const target = loadSnapshotFile(positional[1]);
+    const rules = loadIgnoreRules();
+    const diff = filterDiff(diffSnapshots(withoutIgnored(current.snapshot, rules), withoutIgnored(target.snapshot, rules)), filters);
+
+    if (outputPath) {
+      fs.writeFileSync(outputPath, JSON.stringify(diff, null, 2));
+    }
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('OFFLINE SCHEMA DIFF', 'magenta');
+    log(`${path.basename(current.snapshotPath)} → ${path.basename(target.snapshotPath)}`, 'magenta');
+    log('='.repeat(60), 'magenta');
+
+    // The second snapshot is the source a migration would apply
+    const compatibility = checkCompatibility(target.snapshot, current.snapshot);
+    displayCompatibility(compatibility, { source: path.basename(target.snapshotPath), target: path.basename(current.snapshotPath) });
+    if (!compatibility.compatible) {
+      process.exitCode = 1;
+    }
+
+    if (asJson) {
+      if (hasChanges(diff) && !checkPolicy(diff, policyPath)) {
+        process.exitCode = 1;
+      }
+      console.log(JSON.stringify(diff, null, 2));
+      return;
+    }
+
+    if (!hasChanges(diff)) {
+      log('\n✨ No schema changes detected!\n', 'green');
+      return;
+    }
+
+    displayDiff(diff);
+
+    if (!checkPolicy(diff, policyPath)) {
+      process.exitCode = 1;
+    }
+
+    if (outputPath) {
+      log(`📁 Diff saved to: ${outputPath}`, 'blue');
+    }
+    log('ℹ️  Offline diffs are for review only and cannot be applied with schemaApply.\n', 'blue');
+
+  } catch (error) {
+    log('\n❌ Diff failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    process.exit(1);
+  }
+}
+
+main();
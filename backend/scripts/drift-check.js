@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Drift Check
+ *
+ * Non-interactive comparison of the schema an environment should have with the
+ * schema it has, for CI and pre-deployment checks. The expected schema comes
+ * from a profile (--from) or a committed snapshot file (--snapshot); the actual
+ * schema is snapshotted from the --to profile. Nothing is saved or applied.
+ *
+ * Usage:
+ *   node scripts/drift-check.js [--from <profile> | --snapshot <file>] [--to <profile>]
+ *                               [--json] [--output <file>] [--only <collections>] [--exclude <collections>]
+ *
+ * Examples:
+ *   node scripts/drift-check.js --from local --to production
+ *   node scripts/drift-check.js --snapshot production-1760915387021.json --to production --json
+ *
+ * Options:
+ *   --json             Print the JSON report on stdout (progress goes to stderr)
+ *   --output <file>    Also write the JSON report to a file
+ *   --only / --exclude Limit the check to comma-separated collection or collection.field globs
+ *
+ * Exit codes: 0 schemas match, 1 drift detected, 2 error
+ *
+ * Profiles must use env or token credentials - there are no prompts.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { schemaSnapshot } from '@directus/sdk';
+import { log, logToStderr, getArgValue, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { loadSnapshotFile } from './lib/snapshots.js';
+import { displayDiff } from './lib/schema-diff.js';
+import { diffDrift, createDriftReport, createErrorReport, DRIFT_EXIT_CODES } from './lib/drift.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const outputPath = getArgValue(args, '--output');
+const snapshotFile = getArgValue(args, '--snapshot');
+const filters = { only: getListArg(args, '--only'), exclude: getListArg(args, '--exclude') };
+
+async function snapshotProfile(profile) {
+  const client = await connectProfile(profile, { interactive: false });
+  log(`📸 Taking ${profile.name} snapshot...`, 'cyan');
+  const snapshot = await client.request(schemaSnapshot());
+  return { name: profile.name, kind: 'profile', location: profile.url, snapshot };
+}
+
+function readSnapshot(file) {
+  const { snapshot, snapshotPath } = loadSnapshotFile(file);
+  log(`📁 Expected schema from ${snapshotPath}`, 'cyan');
+  return { name: path.basename(snapshotPath), kind: 'file', location: snapshotPath, snapshot };
+}
+
+function writeReport(report) {
+  if (outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+    log(`📁 Report saved to: ${outputPath}`, 'blue');
+  }
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  }
+  process.exitCode = DRIFT_EXIT_CODES[report.status];
+}
+
+async function main() {
+  if (asJson) {
+    logToStderr();
+  }
+
+  try {
+    const { from: source, to: target } = parseProfileArgs(args, snapshotFile ? { to: 'production' } : undefined);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('SCHEMA DRIFT CHECK', 'magenta');
+    log(`${snapshotFile || source.name} ↔ ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    const expected = snapshotFile ? readSnapshot(snapshotFile) : await snapshotProfile(source);
+    const actual = await snapshotProfile(target);
+
+    const diff = diffDrift(expected, actual, filters);
+    const report = createDriftReport(expected, actual, diff);
+
+    if (report.status === 'match') {
+      log(`\n✅ No drift: ${actual.name} matches ${expected.name} (${report.actual.hash.slice(0, 12)})\n`, 'green');
+    } else {
+      log(`\n⚠️  ${actual.name} has drifted from ${expected.name}: ${report.summary.total} changes would be needed`, 'yellow');
+      if (!asJson) {
+        displayDiff(diff, { verbose: true });
+      }
+    }
+
+    writeReport(report);
+
+  } catch (error) {
+    log('\n❌ Drift check failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    writeReport(createErrorReport(error));
+  }
+}
+
+main();
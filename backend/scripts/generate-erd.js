@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Data Model Documentation
+ *
+ * Reads a snapshot from schema-snapshots/ and writes an entity-relationship
+ * diagram (Mermaid and Graphviz DOT) and a Markdown data dictionary listing
+ * every collection and field with its type, nullability, interface and
+ * relation. Nothing is read from a Directus instance.
+ *
+ * Usage:
+ *   node scripts/generate-erd.js [--snapshot <file> | --from <profile>] [--output <dir>]
+ *                                [--only <collections>] [--exclude <collections>]
+ *
+ * Examples:
+ *   node scripts/generate-erd.js
+ *   node scripts/generate-erd.js --snapshot production-1760915387021.json --exclude ai_*
+ *
+ * Without --snapshot the newest saved snapshot of the --from profile (default
+ * local) is used. Files are written to docs/data-model/ by default.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { log, getArgValue, getListArg } from './lib/cli.js';
+import { loadSnapshotFile, readIndex } from './lib/snapshots.js';
+import { matchesAny } from './lib/glob.js';
+import { describeModel, renderMermaid, renderDot, renderDataDictionary } from './lib/erd.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const args = process.argv.slice(2);
+const snapshotFile = getArgValue(args, '--snapshot');
+const profileName = getArgValue(args, '--from', 'local');
+const outputDir = path.resolve(getArgValue(args, '--output', path.join(__dirname, '..', 'docs', 'data-model')));
+const only = getListArg(args, '--only');
+const exclude = getListArg(args, '--exclude');
+
+function latestSnapshot(source) {
+  const latest = readIndex().filter(entry => entry.kind === 'snapshot' && entry.source === source).at(-1);
+  if (!latest) {
+    throw new Error(`No saved ${source} snapshot in schema-snapshots/ - pass --snapshot <file>`);
+  }
+  return latest.file;
+}
+
+function main() {
+  try {
+    log('\n' + '='.repeat(60), 'magenta');
+    log('GENERATE DATA MODEL DOCUMENTATION', 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    const { snapshot, snapshotPath } = loadSnapshotFile(snapshotFile || latestSnapshot(profileName));
+    log(`📁 Reading ${snapshotPath}`, 'cyan');
+
+    const model = describeModel(snapshot, collection =>
+      (only.length === 0 || matchesAny(collection, only)) && !matchesAny(collection, exclude));
+    log(`✅ ${model.collections.length} collections, ${model.relations.length} relations`, 'green');
+
+    const source = path.basename(snapshotPath);
+    const files = {
+      'erd.mmd': renderMermaid(model),
+      'erd.dot': renderDot(model),
+      'data-dictionary.md': renderDataDictionary(model, {
+        title: 'UDO Data Model',
+        source,
+        directus: snapshot.directus,
+        vendor: snapshot.vendor
+      })
+    };
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(outputDir, file), content);
+      log(`📁 Written: ${path.join(outputDir, file)}`, 'blue');
+    }
+
+    log('\n✨ Done! Open data-dictionary.md for the diagram and field reference.\n', 'green');
+
+  } catch (error) {
+    log('\n❌ Generating documentation failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the OpenAPI Document for the Public Content API
+ *
+ * Combines a schema snapshot with the public role's permissions from an access
+ * snapshot (saved by migrate-access.js) into an OpenAPI 3.1 document: every
+ * collection the public role can read, its readable fields, filters and an
+ * example response. See lib/openapi.js.
+ *
+ * Usage:
+ *   node scripts/generate-openapi.js [--from <profile>] [--snapshot <file>] [--access <file>] [--live]
+ *                                    [--api-version <version>] [--server <url>] [--collections <a,b>] [--output <file>]
+ *
+ * Examples:
+ *   node scripts/generate-openapi.js --api-version 1.1.0
+ *   node scripts/generate-openapi.js --from production --live --collections articles,definitions
+ *
+ * Without --snapshot / --access the newest saved schema and access snapshots
+ * of --from (default production) are used; --live reads both from the profile.
+ * The document is written to docs/api/openapi.json by default. If the contract
+ * changed but --api-version did not, a warning asks for a version bump.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { schemaSnapshot } from '@directus/sdk';
+import { log, getArgValue, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { loadSnapshotFile, resolveSnapshotPath, readIndex } from './lib/snapshots.js';
+import { fetchAccess } from './lib/access-api.js';
+import { normalizeAccess } from './lib/access.js';
+import { createOpenApi } from './lib/openapi.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const args = process.argv.slice(2);
+const snapshotFile = getArgValue(args, '--snapshot');
+const accessFile = getArgValue(args, '--access');
+const isLive = args.includes('--live');
+const apiVersion = getArgValue(args, '--api-version', '1.0.0');
+const collections = getListArg(args, '--collections');
+const outputPath = path.resolve(getArgValue(args, '--output', path.join(__dirname, '..', 'docs', 'api', 'openapi.json')));
+
+function latestSaved(source) {
+  const latest = readIndex().filter(entry => entry.kind === 'snapshot' && entry.source === source).at(-1);
+  if (!latest) {
+    throw new Error(`No saved ${source} snapshot in schema-snapshots/ - pass a file or use --live`);
+  }
+  return latest.file;
+}
+
+async function readInputs(profile) {
+  if (isLive) {
+    const client = await connectProfile(profile);
+    log(`📸 Reading ${profile.name} schema and permissions...`, 'cyan');
+    return {
+      snapshot: await client.request(schemaSnapshot()),
+      access: normalizeAccess(await fetchAccess(client))
+    };
+  }
+
+  const { snapshot, snapshotPath } = loadSnapshotFile(snapshotFile || latestSaved(profile.name));
+  log(`📁 Schema from ${snapshotPath}`, 'cyan');
+
+  const accessPath = resolveSnapshotPath(accessFile || latestSaved(`access-${profile.name}`));
+  log(`📁 Permissions from ${accessPath}`, 'cyan');
+
+  return { snapshot, access: JSON.parse(fs.readFileSync(accessPath, 'utf8')) };
+}
+
+function checkVersion(document) {
+  if (!fs.existsSync(outputPath)) return;
+
+  const { info } = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  if (info['x-contract-hash'] !== document.info['x-contract-hash'] && info.version === document.info.version) {
+    log(`⚠️  The API contract changed but its version is still ${info.version} - pass --api-version to bump it`, 'yellow');
+  }
+}
+
+async function main() {
+  try {
+    const { from: profile } = parseProfileArgs(args, { from: 'production' });
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('GENERATE OPENAPI DOCUMENT', 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    const { snapshot, access } = await readInputs(profile);
+
+    const document = createOpenApi(snapshot, access, {
+      version: apiVersion,
+      serverUrl: getArgValue(args, '--server', profile.url),
+      collections
+    });
+
+    const documented = document.tags.map(tag => tag.name);
+    if (documented.length === 0) {
+      throw new Error('The public role cannot read any collection - nothing to document');
+    }
+    log(`✅ Public collections: ${documented.join(', ')}`, 'green');
+
+    checkVersion(document);
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(document, null, 2) + '\n');
+    log(`📁 Written: ${outputPath} (version ${apiVersion})`, 'blue');
+
+    log('\n✨ Done!\n', 'green');
+
+  } catch (error) {
+    log('\n❌ Generating the OpenAPI document failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    process.exit(1);
+  }
+}
+
+main();
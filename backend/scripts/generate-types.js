@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Generate TypeScript Types and JSON Schemas
+ *
+ * Turns a schema snapshot into a TypeScript `Schema` interface for
+ * `createDirectus<Schema>()` and a JSON Schema per collection (see
+ * lib/types.js for how Directus types map). Migrations to a profile with
+ * `"types": true` (production) regenerate them automatically after applying.
+ *
+ * Usage:
+ *   node scripts/generate-types.js [--snapshot <file> | --from <profile> [--live]] [--output <dir>]
+ *                                  [--only <collections>] [--exclude <collections>]
+ *
+ * Examples:
+ *   node scripts/generate-types.js
+ *   node scripts/generate-types.js --from production --live --output ../frontend/src/types
+ *
+ * Without --snapshot the newest saved snapshot of --from (default production)
+ * is used; --live snapshots the profile instead. Files are written to types/
+ * by default.
+ */
+
+import * as path from 'path';
+import { schemaSnapshot } from '@directus/sdk';
+import { log, getArgValue, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { loadSnapshotFile, readIndex } from './lib/snapshots.js';
+import { matchesAny } from './lib/glob.js';
+import { TYPES_DIR, JSON_SCHEMA_DIR, writeTypes } from './lib/types.js';
+
+const args = process.argv.slice(2);
+const snapshotFile = getArgValue(args, '--snapshot');
+const isLive = args.includes('--live');
+const outputDir = path.resolve(getArgValue(args, '--output', TYPES_DIR));
+const only = getListArg(args, '--only');
+const exclude = getListArg(args, '--exclude');
+
+async function readSchema() {
+  if (snapshotFile) {
+    const { snapshot, snapshotPath } = loadSnapshotFile(snapshotFile);
+    return { snapshot, source: path.basename(snapshotPath) };
+  }
+
+  const { from: source } = parseProfileArgs(args, { from: 'production' });
+
+  if (isLive) {
+    const client = await connectProfile(source);
+    log(`📸 Taking ${source.name} snapshot...`, 'cyan');
+    return { snapshot: await client.request(schemaSnapshot()), source: `the ${source.name} schema` };
+  }
+
+  const latest = readIndex().filter(entry => entry.kind === 'snapshot' && entry.source === source.name).at(-1);
+  if (!latest) {
+    throw new Error(`No saved ${source.name} snapshot in schema-snapshots/ - pass --snapshot <file> or --live`);
+  }
+  return { snapshot: loadSnapshotFile(latest.file).snapshot, source: latest.file };
+}
+
+async function main() {
+  try {
+    log('\n' + '='.repeat(60), 'magenta');
+    log('GENERATE TYPES', 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    const { snapshot, source } = await readSchema();
+    log(`📁 Generating from ${source}`, 'cyan');
+
+    const files = writeTypes(snapshot, outputDir, {
+      source,
+      filter: collection => (only.length === 0 || matchesAny(collection, only)) && !matchesAny(collection, exclude)
+    });
+
+    log(`✅ Written: ${files[0]}`, 'green');
+    log(`✅ Written: ${files.length - 1} JSON Schemas in ${path.join(outputDir, JSON_SCHEMA_DIR)}`, 'green');
+
+    log('\n✨ Done! Use the types with createDirectus<Schema>(url).\n', 'green');
+
+  } catch (error) {
+    log('\n❌ Generating types failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    process.exit(1);
+  }
+}
+
+main();
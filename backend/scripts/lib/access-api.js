@@ -0,0 +1,181 @@
+/**
+ * Reading and applying roles, policies and permissions through the Directus API
+ *
+ * Companion to migration.js for access control, which schemaSnapshot() does
+ * not cover. See access.js for the normalized snapshot and how items are matched.
+ */
+
+import {
+  readRoles, createRole, updateRole, deleteRole,
+  readPolicies, createPolicy, updatePolicy, deletePolicy,
+  readPermissions, createPermission, updatePermission, deletePermission
+} from '@directus/sdk';
+import { log } from './cli.js';
+import { hashContent } from './hash.js';
+import { saveSnapshot } from './snapshots.js';
+import { LEDGER_PATH, checkApplicable, currentOperator, recordMigration } from './ledger.js';
+import { PUBLIC_ROLE, normalizeAccess, indexAccessIds } from './access.js';
+
+export async function fetchAccess(client) {
+  const [roles, policies, permissions] = await Promise.all([
+    client.request(readRoles({ fields: ['id', 'name', 'description', 'icon', 'parent'], limit: -1 })),
+    client.request(readPolicies({
+      fields: ['id', 'name', 'description', 'icon', 'admin_access', 'app_access', 'enforce_tfa', 'ip_access', 'roles.id', 'roles.role', 'roles.user'],
+      limit: -1
+    })),
+    client.request(readPermissions({
+      fields: ['id', 'policy', 'collection', 'action', 'fields', 'permissions', 'validation', 'presets'],
+      limit: -1
+    }))
+  ]);
+
+  return { roles, policies, permissions };
+}
+
+/**
+ * Read and save the access snapshot of a profile. Returns the raw items (for
+ * their IDs) and the normalized snapshot.
+ */
+export async function captureAccess(client, profile) {
+  log(`\n📸 Reading ${profile.name} roles, policies and permissions...`, 'cyan');
+
+  try {
+    const raw = await fetchAccess(client);
+    const snapshot = normalizeAccess(raw);
+    log(`✅ ${snapshot.roles.length} roles, ${snapshot.policies.length} policies, ${snapshot.permissions.length} permissions`, 'green');
+
+    const saved = saveSnapshot(`access-${profile.name}`, snapshot);
+    log(saved.duplicate
+      ? `📁 Access unchanged since ${saved.file}, not saved again`
+      : `📁 Snapshot saved to: ${saved.path}`, 'blue');
+
+    return { raw, snapshot };
+  } catch (error) {
+    log(`❌ Failed to read ${profile.name} access control: ${error.message}`, 'red');
+    throw error;
+  }
+}
+
+function withoutKeys(item, ...keys) {
+  return Object.fromEntries(Object.entries(item).filter(([key]) => !keys.includes(key)));
+}
+
+async function applyRoles(client, changes, ids) {
+  for (const { to } of changes.filter(change => change.action === 'create')) {
+    const created = await client.request(createRole({ ...withoutKeys(to, 'parent'), parent: null }));
+    ids.roles.set(to.name, created.id);
+  }
+
+  // Parents are set once every role exists
+  for (const { action, to } of changes.filter(change => change.action !== 'delete')) {
+    if (action === 'create' && !to.parent) {
+      continue;
+    }
+    const parent = to.parent ? ids.roles.get(to.parent) : null;
+    if (to.parent && !parent) {
+      throw new Error(`Parent role "${to.parent}" of "${to.name}" does not exist`);
+    }
+    await client.request(updateRole(ids.roles.get(to.name), { ...to, parent }));
+  }
+}
+
+async function applyPolicies(client, changes, ids) {
+  for (const { action, to } of changes.filter(change => change.action !== 'delete')) {
+    if (action === 'create') {
+      const created = await client.request(createPolicy(withoutKeys(to, 'roles')));
+      ids.policies.set(to.name, created.id);
+    } else {
+      await client.request(updatePolicy(ids.policies.get(to.name), withoutKeys(to, 'roles')));
+    }
+
+    const current = ids.access.get(to.name) || [];
+    const create = to.roles
+      .filter(role => !current.some(access => access.role === role))
+      .map(role => {
+        const id = role === PUBLIC_ROLE ? null : ids.roles.get(role);
+        if (id === undefined) {
+          throw new Error(`Role "${role}" of policy "${to.name}" does not exist`);
+        }
+        return { role: id };
+      });
+    const remove = current
+      .filter(access => !to.roles.includes(access.role))
+      .map(access => access.id);
+
+    if (create.length > 0 || remove.length > 0) {
+      await client.request(updatePolicy(ids.policies.get(to.name), {
+        roles: { create, update: [], delete: remove }
+      }));
+    }
+  }
+}
+
+async function applyPermissions(client, changes, ids) {
+  for (const { key, action, to } of changes.filter(change => change.action !== 'delete')) {
+    const policy = ids.policies.get(to.policy);
+    if (!policy) {
+      throw new Error(`Policy "${to.policy}" of permission "${key}" does not exist`);
+    }
+
+    if (action === 'create') {
+      await client.request(createPermission({ ...to, policy }));
+    } else {
+      await client.request(updatePermission(ids.permissions.get(key), { ...to, policy }));
+    }
+  }
+}
+
+async function applyDeletes(client, diff, ids) {
+  for (const { key } of diff.permissions.filter(change => change.action === 'delete')) {
+    await client.request(deletePermission(ids.permissions.get(key)));
+  }
+  for (const { key } of diff.policies.filter(change => change.action === 'delete')) {
+    await client.request(deletePolicy(ids.policies.get(key)));
+  }
+  for (const { key } of diff.roles.filter(change => change.action === 'delete')) {
+    await client.request(deleteRole(ids.roles.get(key)));
+  }
+}
+
+/**
+ * Apply an access diff to the target and record the attempt in the ledger.
+ * Refuses to run if the target's access control changed since it was read.
+ */
+export async function applyAccess(client, diff, target, { source, sourceSnapshotHash, targetSnapshotHash }) {
+  const entry = {
+    kind: 'access',
+    source: source.name,
+    target: target.name,
+    diffHash: hashContent(diff),
+    sourceSnapshotHash,
+    targetSnapshotHash,
+    operator: currentOperator()
+  };
+
+  const raw = await fetchAccess(client);
+  const blocked = checkApplicable(entry, hashContent(normalizeAccess(raw)));
+  if (blocked) {
+    recordMigration({ ...entry, outcome: 'blocked', error: blocked });
+    throw new Error(`Refusing to apply: ${blocked}`);
+  }
+
+  log(`\n🚀 Applying access changes to ${target.name}...`, 'cyan');
+
+  try {
+    const ids = indexAccessIds(raw);
+    await applyRoles(client, diff.roles, ids);
+    await applyPolicies(client, diff.policies, ids);
+    await applyPermissions(client, diff.permissions, ids);
+    await applyDeletes(client, diff, ids);
+
+    recordMigration({ ...entry, outcome: 'applied' });
+    log('✅ Access changes applied successfully!', 'green');
+  } catch (error) {
+    recordMigration({ ...entry, outcome: 'failed', error: error.message });
+    log(`❌ Failed to apply access changes: ${error.message}`, 'red');
+    log(`\n${target.name} access control may be partly updated - run the migration again to finish it.`, 'yellow');
+    throw error;
+  }
+
+  log(`📒 Recorded in ${LEDGER_PATH}`, 'blue');
+}
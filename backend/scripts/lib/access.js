@@ -0,0 +1,112 @@
+/**
+ * Access snapshots: roles, policies and permissions without database IDs
+ *
+ * schemaSnapshot() does not include access control, so it is captured
+ * separately and normalized so two instances can be compared:
+ *
+ *   roles        { name, description, icon, parent }           parent by name
+ *   policies     { name, ..., roles }                          roles by name, '$public' for the public role
+ *   permissions  { policy, collection, action, fields, ... }   policy by name
+ *
+ * Roles and policies are matched by name and permissions by policy,
+ * collection and action. Access granted to individual users is not migrated,
+ * since users differ between instances.
+ */
+
+import { diffByKey } from './keyed-diff.js';
+
+export const PUBLIC_ROLE = '$public';
+
+export const ACCESS_LABELS = {
+  roles: 'role',
+  policies: 'policy',
+  permissions: 'permission'
+};
+
+export const roleKey = role => role.name;
+export const policyKey = policy => policy.name;
+export const permissionKey = permission => `${permission.policy}: ${permission.collection} ${permission.action}`;
+
+const byKey = keyOf => (a, b) => keyOf(a).localeCompare(keyOf(b));
+
+/**
+ * Normalize the roles, policies and permissions read from an instance
+ */
+export function normalizeAccess({ roles, policies, permissions }) {
+  const roleNames = new Map(roles.map(role => [role.id, role.name]));
+  const policyNames = new Map(policies.map(policy => [policy.id, policy.name]));
+
+  return {
+    roles: roles
+      .map(role => ({
+        name: role.name,
+        description: role.description ?? null,
+        icon: role.icon ?? null,
+        parent: role.parent ? roleNames.get(role.parent) ?? null : null
+      }))
+      .sort(byKey(roleKey)),
+
+    policies: policies
+      .map(policy => ({
+        name: policy.name,
+        description: policy.description ?? null,
+        icon: policy.icon ?? null,
+        admin_access: Boolean(policy.admin_access),
+        app_access: Boolean(policy.app_access),
+        enforce_tfa: Boolean(policy.enforce_tfa),
+        ip_access: policy.ip_access ?? null,
+        roles: (policy.roles || [])
+          .filter(access => !access.user)
+          .map(access => access.role ? roleNames.get(access.role) : PUBLIC_ROLE)
+          .filter(Boolean)
+          .sort()
+      }))
+      .sort(byKey(policyKey)),
+
+    permissions: permissions
+      .filter(permission => policyNames.has(permission.policy))
+      .map(permission => ({
+        policy: policyNames.get(permission.policy),
+        collection: permission.collection,
+        action: permission.action,
+        fields: permission.fields ? [...permission.fields].sort() : null,
+        permissions: permission.permissions ?? null,
+        validation: permission.validation ?? null,
+        presets: permission.presets ?? null
+      }))
+      .sort(byKey(permissionKey))
+  };
+}
+
+/**
+ * Changes that bring the `current` access snapshot in line with `desired`
+ */
+export function diffAccess(current, desired) {
+  return {
+    roles: diffByKey(current.roles, desired.roles, roleKey, 'role'),
+    policies: diffByKey(current.policies, desired.policies, policyKey, 'policy'),
+    permissions: diffByKey(current.permissions, desired.permissions, permissionKey, 'permission')
+  };
+}
+
+/**
+ * Database IDs of a target's roles, policies, access rows and permissions, by key
+ */
+export function indexAccessIds({ roles, policies, permissions }) {
+  const roleNames = new Map(roles.map(role => [role.id, role.name]));
+  const policyNames = new Map(policies.map(policy => [policy.id, policy.name]));
+
+  return {
+    roles: new Map(roles.map(role => [role.name, role.id])),
+    policies: new Map(policies.map(policy => [policy.name, policy.id])),
+    access: new Map(policies.map(policy => [
+      policy.name,
+      (policy.roles || [])
+        .filter(access => !access.user)
+        .map(access => ({ id: access.id, role: access.role ? roleNames.get(access.role) : PUBLIC_ROLE }))
+    ])),
+    permissions: new Map(permissions
+      .filter(permission => policyNames.has(permission.policy))
+      .map(permission => [permissionKey({ ...permission, policy: policyNames.get(permission.policy) }), permission.id]))
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Shared console helpers for the Directus migration scripts
+ * Colored logging, interactive prompts and command line argument parsing
+ */
+
+import * as readline from 'readline';
+
+// Colors
+export const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+let logStream = process.stdout;
+
+export function log(message, color = 'reset') {
+  logStream.write(`${colors[color]}${message}${colors.reset}\n`);
+}
+
+/**
+ * Send log output to stderr, keeping stdout free for machine-readable output
+ */
+export function logToStderr() {
+  logStream = process.stderr;
+}
+
+function createInterface() {
+  return readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+}
+
+export async function askQuestion(question) {
+  const rl = createInterface();
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Prompt for a value without echoing the typed characters (passwords, tokens)
+ */
+export async function askSecret(question) {
+  const rl = createInterface();
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    rl._writeToOutput = () => {};
+  });
+}
+
+/**
+ * Read the value of an option given as `--name value` or `--name=value`
+ */
+export function getArgValue(args, name, defaultValue = null) {
+  const prefix = `${name}=`;
+  const inline = args.find(arg => arg.startsWith(prefix));
+  if (inline) {
+    return inline.slice(prefix.length);
+  }
+
+  const index = args.indexOf(name);
+  if (index !== -1 && index + 1 < args.length && !args[index + 1].startsWith('--')) {
+    return args[index + 1];
+  }
+
+  return defaultValue;
+}
+
+/**
+ * Read a comma-separated option such as `--only articles,definitions`
+ */
+export function getListArg(args, name) {
+  const value = getArgValue(args, name);
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
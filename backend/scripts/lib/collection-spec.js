@@ -0,0 +1,297 @@
+/**
+ * Declarative collection specs
+ *
+ * A spec is a JSON file describing one collection:
+ *
+ *   {
+ *     "collection": "pages",
+ *     "primaryKey": "uuid",                       "uuid" or "integer" (default)
+ *     "meta": { "icon": "description", "sort_field": "sort" },
+ *     "fields": [
+ *       "status",                                  a field preset
+ *       { "preset": "sort", "meta": { "width": "half" } },   a preset with overrides
+ *       { "field": "name", "type": "string", "meta": { ... }, "schema": { ... } },
+ *       { "field": "category", "type": "integer", "relation": "article_categories" }
+ *     ]
+ *   }
+ *
+ * `relation` is a related collection name or { related_collection, schema }.
+ * Presets bring their own relations (`user_created` → directus_users).
+ *
+ * Specs are compared with a schema snapshot: the collection, fields and
+ * relations that are missing are created, and where a field exists but one
+ * of the values the spec sets differs, the difference is only reported.
+ * Applying the same spec twice changes nothing the second time.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './cli.js';
+import { stableStringify } from './hash.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SPEC_DIR = path.join(__dirname, '..', '..', 'collection-specs');
+
+const USER_FIELD = {
+  type: 'uuid',
+  meta: {
+    interface: 'select-dropdown-m2o',
+    options: { template: '{{avatar}} {{first_name}} {{last_name}}' },
+    display: 'user',
+    readonly: true,
+    hidden: true,
+    width: 'half'
+  },
+  schema: {},
+  relation: { related_collection: 'directus_users', schema: { on_delete: 'SET NULL' } }
+};
+
+const DATE_FIELD = {
+  type: 'timestamp',
+  meta: {
+    interface: 'datetime',
+    readonly: true,
+    hidden: true,
+    width: 'half',
+    display: 'datetime',
+    display_options: { relative: true }
+  },
+  schema: {}
+};
+
+const withSpecial = (base, field, special) => ({ ...base, field, meta: { ...base.meta, special: [special] } });
+
+export const FIELD_PRESETS = {
+  status: {
+    field: 'status',
+    type: 'string',
+    meta: {
+      width: 'full',
+      interface: 'select-dropdown',
+      options: {
+        choices: [
+          { text: 'Published', value: 'published' },
+          { text: 'Draft', value: 'draft' },
+          { text: 'Archived', value: 'archived' }
+        ]
+      }
+    },
+    schema: { default_value: 'draft', is_nullable: false }
+  },
+  sort: {
+    field: 'sort',
+    type: 'integer',
+    meta: { interface: 'input', hidden: true },
+    schema: {}
+  },
+  user_created: withSpecial(USER_FIELD, 'user_created', 'user-created'),
+  user_updated: withSpecial(USER_FIELD, 'user_updated', 'user-updated'),
+  date_created: withSpecial(DATE_FIELD, 'date_created', 'date-created'),
+  date_updated: withSpecial(DATE_FIELD, 'date_updated', 'date-updated')
+};
+
+const PRIMARY_KEYS = {
+  uuid: {
+    field: 'id',
+    type: 'uuid',
+    meta: { hidden: true, readonly: true, interface: 'input', special: ['uuid'] },
+    schema: { is_primary_key: true, has_auto_increment: false }
+  },
+  integer: {
+    field: 'id',
+    type: 'integer',
+    meta: { hidden: true, readonly: true, interface: 'input' },
+    schema: { is_primary_key: true, has_auto_increment: true }
+  }
+};
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Objects are merged key by key; arrays and other values replace
+function merge(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return merged;
+}
+
+function expandField(entry, collection) {
+  const definition = typeof entry === 'string' ? { preset: entry } : entry;
+  const { preset, ...overrides } = definition;
+
+  if (preset && !FIELD_PRESETS[preset]) {
+    throw new Error(`${collection}: unknown field preset "${preset}" (available: ${Object.keys(FIELD_PRESETS).join(', ')})`);
+  }
+
+  const field = preset ? merge(FIELD_PRESETS[preset], overrides) : definition;
+  if (!field.field || !field.type) {
+    throw new Error(`${collection}: every field needs a "field" name and a "type"`);
+  }
+
+  const { relation, ...rest } = field;
+  return {
+    field: { schema: field.type === 'alias' ? null : {}, meta: {}, ...rest },
+    relation: relation && {
+      collection,
+      field: field.field,
+      ...(typeof relation === 'string' ? { related_collection: relation } : relation)
+    }
+  };
+}
+
+/**
+ * Resolve presets and the primary key into plain field and relation
+ * definitions
+ */
+export function expandSpec(spec) {
+  if (!spec.collection) {
+    throw new Error('A collection spec needs a "collection" name');
+  }
+
+  const primaryKey = PRIMARY_KEYS[spec.primaryKey || 'integer'];
+  if (!primaryKey) {
+    throw new Error(`${spec.collection}: primaryKey must be one of ${Object.keys(PRIMARY_KEYS).join(', ')}`);
+  }
+
+  const expanded = [{ field: primaryKey }, ...(spec.fields || []).map(entry => expandField(entry, spec.collection))];
+
+  const names = expanded.map(item => item.field.field);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`${spec.collection}: field "${duplicate}" is defined twice`);
+  }
+
+  return {
+    collection: spec.collection,
+    meta: spec.meta || {},
+    fields: expanded.map(item => item.field),
+    relations: expanded.filter(item => item.relation).map(item => item.relation)
+  };
+}
+
+/**
+ * Read specs from files or directories of .json files (the spec directory by
+ * default), in file name order
+ */
+export function loadSpecs(paths = []) {
+  const files = (paths.length > 0 ? paths : [SPEC_DIR]).flatMap(item => {
+    if (!fs.existsSync(item)) {
+      throw new Error(`Spec not found: ${item}`);
+    }
+    return fs.statSync(item).isDirectory()
+      ? fs.readdirSync(item).filter(file => file.endsWith('.json')).sort().map(file => path.join(item, file))
+      : [item];
+  });
+
+  return files.map(file => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read spec ${file}: ${error.message}`);
+    }
+  });
+}
+
+// Values the spec sets that differ from the existing object, as "meta.width" paths
+function compareSubset(expected, actual, prefix) {
+  return Object.entries(expected).flatMap(([key, value]) => {
+    const current = actual?.[key];
+    if (isObject(value) && isObject(current)) {
+      return compareSubset(value, current, `${prefix}${key}.`);
+    }
+    return stableStringify(value ?? null) === stableStringify(current ?? null)
+      ? []
+      : [{ path: `${prefix}${key}`, expected: value ?? null, actual: current ?? null }];
+  });
+}
+
+/**
+ * Compare an expanded spec with a schema snapshot: what has to be created,
+ * and where existing definitions differ from the spec
+ */
+export function planCollectionSpec(expanded, snapshot) {
+  const { collection } = expanded;
+  const existing = snapshot.collections.find(item => item.collection === collection);
+  const existingFields = snapshot.fields.filter(field => field.collection === collection);
+  const differences = [];
+
+  if (existing) {
+    for (const difference of compareSubset(expanded.meta, existing.meta, 'meta.')) {
+      differences.push({ target: collection, ...difference });
+    }
+  }
+
+  const missingFields = [];
+  for (const field of expanded.fields) {
+    const current = existingFields.find(item => item.field === field.field);
+    if (!current) {
+      missingFields.push(field);
+      continue;
+    }
+
+    const { field: name, ...definition } = field;
+    for (const difference of compareSubset(definition, current, '')) {
+      differences.push({ target: `${collection}.${name}`, ...difference });
+    }
+  }
+
+  const missingRelations = [];
+  for (const relation of expanded.relations) {
+    const current = snapshot.relations.find(item => item.collection === collection && item.field === relation.field);
+    if (!current) {
+      missingRelations.push(relation);
+    } else if (current.related_collection !== relation.related_collection) {
+      differences.push({
+        target: `${collection}.${relation.field}`,
+        path: 'relation',
+        expected: relation.related_collection,
+        actual: current.related_collection
+      });
+    }
+  }
+
+  const specified = new Set(expanded.fields.map(field => field.field));
+  const unspecified = existingFields.map(field => field.field).filter(field => !specified.has(field));
+
+  return { collection, exists: Boolean(existing), missingFields, missingRelations, differences, unspecified };
+}
+
+export function hasSpecChanges(plan) {
+  return !plan.exists || plan.missingFields.length > 0 || plan.missingRelations.length > 0;
+}
+
+export function displaySpecPlan(plans) {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('COLLECTION SPECS', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  for (const plan of plans) {
+    log(`\n${plan.collection}:`, 'yellow');
+
+    if (!plan.exists) {
+      log(`  ➕ Create collection with ${plan.missingFields.length} fields`, 'green');
+    } else {
+      for (const field of plan.missingFields) {
+        log(`  ➕ Create field ${field.field} (${field.type})`, 'green');
+      }
+    }
+    for (const relation of plan.missingRelations) {
+      log(`  ➕ Create relation ${relation.field} → ${relation.related_collection}`, 'green');
+    }
+    for (const { target, path: key, expected, actual } of plan.differences) {
+      log(`  ⚠️  ${target} ${key}: spec ${JSON.stringify(expected)}, instance ${JSON.stringify(actual)}`, 'yellow');
+    }
+    if (plan.unspecified.length > 0) {
+      log(`  ℹ️  Not in the spec: ${plan.unspecified.join(', ')}`, 'blue');
+    }
+    if (!hasSpecChanges(plan) && plan.differences.length === 0) {
+      log('  ✓  Matches the spec', 'reset');
+    }
+  }
+
+  log('\n' + '='.repeat(60) + '\n', 'cyan');
+}
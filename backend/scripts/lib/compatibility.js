@@ -0,0 +1,143 @@
+/**
+ * Directus version compatibility of schema snapshots
+ *
+ * Every snapshot records its format (`version`), the Directus version
+ * (`directus`) and the database (`vendor`). Directus refuses to diff a
+ * snapshot from another version or vendor unless the diff is forced; this
+ * decides when forcing is safe:
+ *
+ *   format or vendor differ          incompatible, never diffed
+ *   Directus major versions differ   incompatible, never diffed
+ *   minor or patch versions differ   diffed with force, warning about field
+ *                                    types and options the target lacks
+ *
+ * What a target lacks is read from its own snapshot: Directus writes every
+ * option of a collection, field or relation (null when unset), so an option
+ * no target item has is one the target version does not know.
+ */
+
+import { log } from './cli.js';
+
+// Field types every Directus release since snapshots were introduced (9) supports
+const STANDARD_FIELD_TYPES = [
+  'alias', 'bigInteger', 'binary', 'boolean', 'csv', 'date', 'dateTime', 'decimal', 'float',
+  'geometry', 'hash', 'integer', 'json', 'string', 'text', 'time', 'timestamp', 'unknown', 'uuid'
+];
+
+// Snapshot parts whose option keys are compared: [label, items, part]
+const OPTION_SOURCES = [
+  ['collection option', 'collections', 'meta'],
+  ['collection schema option', 'collections', 'schema'],
+  ['field option', 'fields', 'meta'],
+  ['field schema option', 'fields', 'schema'],
+  ['relation option', 'relations', 'meta'],
+  ['relation schema option', 'relations', 'schema']
+];
+
+export function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Negative when `a` is older than `b`, positive when newer, 0 when equal
+ */
+export function compareVersions(a, b) {
+  const [left, right] = [parseVersion(a), parseVersion(b)];
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+const isStandardType = type => STANDARD_FIELD_TYPES.includes(type) || type.startsWith('geometry.');
+
+/**
+ * Field types and options the source snapshot uses that the target does not
+ * know, as warning messages
+ */
+export function findUnsupported(source, target) {
+  const warnings = [];
+  const version = `Directus ${target.directus}`;
+
+  const targetTypes = new Set(target.fields.map(field => field.type));
+  const newTypes = new Map();
+  for (const field of source.fields) {
+    if (isStandardType(field.type) || targetTypes.has(field.type)) continue;
+    newTypes.set(field.type, [...(newTypes.get(field.type) || []), `${field.collection}.${field.field}`]);
+  }
+  for (const [type, fields] of newTypes) {
+    warnings.push(`field type "${type}" may not be supported by ${version}: ${fields.join(', ')}`);
+  }
+
+  for (const [label, items, part] of OPTION_SOURCES) {
+    const targetParts = target[items].map(item => item[part]).filter(Boolean);
+    // An empty target shows no options at all, known or not
+    if (targetParts.length === 0) continue;
+
+    const known = new Set(targetParts.flatMap(Object.keys));
+    const used = new Map();
+    for (const item of source[items]) {
+      for (const [key, value] of Object.entries(item[part] || {})) {
+        if (known.has(key) || value === null || value === undefined) continue;
+        used.set(key, (used.get(key) || 0) + 1);
+      }
+    }
+    for (const [key, count] of used) {
+      warnings.push(`${label} "${key}" is not known to ${version} and will be ignored (set on ${count} ${items})`);
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Compare the versions recorded in the source and target snapshots. `force`
+ * says whether the diff has to be forced past Directus' own version check.
+ */
+export function checkCompatibility(source, target) {
+  const errors = [];
+  const warnings = [];
+
+  if (source.version !== target.version) {
+    errors.push(`snapshot format ${source.version} cannot be diffed against format ${target.version}`);
+  }
+  if (source.vendor !== target.vendor) {
+    errors.push(`database ${source.vendor} differs from ${target.vendor} - column types and defaults do not carry over`);
+  }
+
+  if (source.directus !== target.directus) {
+    const [from, to] = [parseVersion(source.directus), parseVersion(target.directus)];
+
+    if (!from || !to) {
+      errors.push(`cannot compare Directus versions ${source.directus || 'unknown'} and ${target.directus || 'unknown'}`);
+    } else if (from[0] !== to[0]) {
+      errors.push(`Directus ${source.directus} and ${target.directus} are different major versions - upgrade one of them first`);
+    } else {
+      const newer = compareVersions(source.directus, target.directus) > 0;
+      warnings.push(`Directus ${source.directus} → ${target.directus}: the ${newer ? 'target is older' : 'target is newer'}, so the diff is forced past Directus' version check`);
+      warnings.push(...findUnsupported(source, target));
+    }
+  }
+
+  return {
+    compatible: errors.length === 0,
+    force: errors.length === 0 && source.directus !== target.directus,
+    errors,
+    warnings
+  };
+}
+
+export function displayCompatibility(result, { source, target }) {
+  if (result.errors.length === 0 && result.warnings.length === 0) {
+    return;
+  }
+
+  log(`\n🧭 Version check (${source} → ${target}):`, 'cyan');
+  for (const error of result.errors) {
+    log(`   ❌ ${error}`, 'red');
+  }
+  for (const warning of result.warnings) {
+    log(`   ⚠️  ${warning}`, 'yellow');
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Reading and applying flows, operations, dashboards, panels and presets
+ * through the Directus API
+ *
+ * See config.js for the normalized snapshot and how items are matched.
+ * Applying only creates and updates items by key (deletes are opt-in), so
+ * running the same migration twice changes nothing the second time.
+ */
+
+import {
+  readFlows, createFlow, updateFlow, deleteFlow,
+  readOperations, createOperation, updateOperation, deleteOperation,
+  readDashboards, createDashboard, updateDashboard, deleteDashboard,
+  readPanels, createPanel, updatePanel, deletePanel,
+  readPresets, createPreset, updatePreset, deletePreset,
+  readUsers, readRoles
+} from '@directus/sdk';
+import { log } from './cli.js';
+import { hashContent } from './hash.js';
+import { saveSnapshot } from './snapshots.js';
+import { LEDGER_PATH, checkApplicable, currentOperator, recordMigration } from './ledger.js';
+import { normalizeConfig, indexConfigIds, mapTriggerFlow, mapOptionRefs, findUnresolvedRefs } from './config.js';
+
+export async function fetchConfig(client) {
+  const all = { limit: -1 };
+  const [flows, operations, dashboards, panels, presets, users, roles] = await Promise.all([
+    client.request(readFlows(all)),
+    client.request(readOperations(all)),
+    client.request(readDashboards(all)),
+    client.request(readPanels(all)),
+    client.request(readPresets(all)),
+    client.request(readUsers({ fields: ['id', 'email'], limit: -1 })),
+    client.request(readRoles({ fields: ['id', 'name'], limit: -1 }))
+  ]);
+
+  return { flows, operations, dashboards, panels, presets, users, roles };
+}
+
+/**
+ * Read and save the config snapshot of a profile. Returns the raw items (for
+ * their IDs) and the normalized snapshot.
+ */
+export async function captureConfig(client, profile) {
+  log(`\n📸 Reading ${profile.name} flows, dashboards and presets...`, 'cyan');
+
+  try {
+    const raw = await fetchConfig(client);
+    const snapshot = normalizeConfig(raw);
+    log(`✅ ${snapshot.flows.length} flows, ${snapshot.operations.length} operations, ` +
+      `${snapshot.dashboards.length} dashboards, ${snapshot.panels.length} panels, ${snapshot.presets.length} presets`, 'green');
+    for (const reason of findUnresolvedRefs(raw)) {
+      log(`⚠️  ${profile.name} ${reason} - kept as an ID, which will not match on other instances`, 'yellow');
+    }
+
+    const saved = saveSnapshot(`config-${profile.name}`, snapshot);
+    log(saved.duplicate
+      ? `📁 Config unchanged since ${saved.file}, not saved again`
+      : `📁 Snapshot saved to: ${saved.path}`, 'blue');
+
+    return { raw, snapshot };
+  } catch (error) {
+    log(`❌ Failed to read ${profile.name} config: ${error.message}`, 'red');
+    throw error;
+  }
+}
+
+function withoutKeys(item, ...keys) {
+  return Object.fromEntries(Object.entries(item).filter(([key]) => !keys.includes(key)));
+}
+
+const pending = changes => changes.filter(change => change.action !== 'delete');
+
+/**
+ * Options with the target's user and role IDs. References the target does
+ * not have are left out and reported in `skipped`.
+ */
+function targetOptions(options, ids, label, skipped) {
+  return mapOptionRefs(options, ids, (kind, value) => {
+    skipped.push(`${label}: ${kind} ${value} does not exist on the target, left out`);
+    return undefined;
+  });
+}
+
+function requireId(ids, key, label) {
+  const id = ids.get(key);
+  if (!id) {
+    throw new Error(`${label} "${key}" does not exist on the target`);
+  }
+  return id;
+}
+
+async function applyFlows(client, diff, ids, skipped) {
+  for (const { action, to } of pending(diff.flows)) {
+    const data = { ...withoutKeys(to, 'operation'), options: targetOptions(to.options, ids, `flow ${to.name}`, skipped) };
+    if (action === 'create') {
+      const created = await client.request(createFlow(data));
+      ids.flows.set(to.name, created.id);
+    } else {
+      await client.request(updateFlow(ids.flows.get(to.name), data));
+    }
+  }
+
+  // Operations are created unlinked, then linked once they all have IDs
+  for (const { key, action, to } of pending(diff.operations)) {
+    const data = {
+      ...withoutKeys(to, 'resolve', 'reject'),
+      flow: requireId(ids.flows, to.flow, 'Flow'),
+      options: targetOptions(mapTriggerFlow(to, to.options, ids.flows), ids, `operation ${key}`, skipped)
+    };
+    if (action === 'create') {
+      const created = await client.request(createOperation(data));
+      ids.operations.set(key, created.id);
+    } else {
+      await client.request(updateOperation(ids.operations.get(key), data));
+    }
+  }
+
+  const operationId = (flow, key) => key ? requireId(ids.operations, `${flow}: ${key}`, 'Operation') : null;
+
+  for (const { key, to } of pending(diff.operations)) {
+    await client.request(updateOperation(ids.operations.get(key), {
+      resolve: operationId(to.flow, to.resolve),
+      reject: operationId(to.flow, to.reject)
+    }));
+  }
+
+  for (const { to } of pending(diff.flows)) {
+    await client.request(updateFlow(ids.flows.get(to.name), { operation: operationId(to.name, to.operation) }));
+  }
+}
+
+async function applyDashboards(client, diff, ids, skipped) {
+  for (const { action, to } of pending(diff.dashboards)) {
+    if (action === 'create') {
+      const created = await client.request(createDashboard(to));
+      ids.dashboards.set(to.name, created.id);
+    } else {
+      await client.request(updateDashboard(ids.dashboards.get(to.name), to));
+    }
+  }
+
+  for (const { key, action, to } of pending(diff.panels)) {
+    const data = {
+      ...to,
+      dashboard: requireId(ids.dashboards, to.dashboard, 'Dashboard'),
+      options: targetOptions(to.options, ids, `panel ${key}`, skipped)
+    };
+    if (action === 'create') {
+      await client.request(createPanel(data));
+    } else {
+      await client.request(updatePanel(ids.panels.get(key), data));
+    }
+  }
+}
+
+/**
+ * Presets whose owner does not exist on the target are skipped, not failed
+ */
+async function applyPresets(client, diff, ids, skipped) {
+  for (const { key, action, to } of pending(diff.presets)) {
+    const user = to.user ? ids.users.get(to.user) : null;
+    const role = to.role ? ids.roles.get(to.role) : null;
+    if ((to.user && !user) || (to.role && !role)) {
+      skipped.push(`preset ${key}: ${to.user ? `user ${to.user}` : `role ${to.role}`} does not exist on the target`);
+      continue;
+    }
+
+    const data = { ...to, user, role };
+    if (action === 'create') {
+      await client.request(createPreset(data));
+    } else {
+      await client.request(updatePreset(ids.presets.get(key), data));
+    }
+  }
+}
+
+async function applyDeletes(client, diff, ids) {
+  const deletes = section => diff[section].filter(change => change.action === 'delete');
+  const deletedFlows = new Set(deletes('flows').map(change => change.key));
+  const deletedDashboards = new Set(deletes('dashboards').map(change => change.key));
+
+  for (const { key } of deletes('presets')) {
+    await client.request(deletePreset(ids.presets.get(key)));
+  }
+  // Deleting a dashboard or flow also deletes its panels or operations
+  for (const { key } of deletes('panels').filter(change => !deletedDashboards.has(change.from.dashboard))) {
+    await client.request(deletePanel(ids.panels.get(key)));
+  }
+  for (const { key } of deletes('dashboards')) {
+    await client.request(deleteDashboard(ids.dashboards.get(key)));
+  }
+  for (const { key } of deletes('operations').filter(change => !deletedFlows.has(change.from.flow))) {
+    await client.request(deleteOperation(ids.operations.get(key)));
+  }
+  for (const { key } of deletes('flows')) {
+    await client.request(deleteFlow(ids.flows.get(key)));
+  }
+}
+
+/**
+ * Apply a config diff to the target and record the attempt in the ledger.
+ * Refuses to run if the target's config changed since it was read. Returns
+ * the presets and option references that were skipped.
+ */
+export async function applyConfig(client, diff, target, { source, sourceSnapshotHash, targetSnapshotHash }) {
+  const entry = {
+    kind: 'config',
+    source: source.name,
+    target: target.name,
+    diffHash: hashContent(diff),
+    sourceSnapshotHash,
+    targetSnapshotHash,
+    operator: currentOperator()
+  };
+
+  const raw = await fetchConfig(client);
+  const blocked = checkApplicable(entry, hashContent(normalizeConfig(raw)));
+  if (blocked) {
+    recordMigration({ ...entry, outcome: 'blocked', error: blocked });
+    throw new Error(`Refusing to apply: ${blocked}`);
+  }
+
+  log(`\n🚀 Applying config changes to ${target.name}...`, 'cyan');
+
+  const skipped = [];
+  try {
+    const ids = indexConfigIds(raw);
+    await applyFlows(client, diff, ids, skipped);
+    await applyDashboards(client, diff, ids, skipped);
+    await applyPresets(client, diff, ids, skipped);
+    await applyDeletes(client, diff, ids);
+
+    recordMigration({ ...entry, outcome: 'applied' });
+    log('✅ Config changes applied successfully!', 'green');
+  } catch (error) {
+    recordMigration({ ...entry, outcome: 'failed', error: error.message });
+    log(`❌ Failed to apply config changes: ${error.message}`, 'red');
+    log(`\n${target.name} config may be partly updated - run the migration again to finish it.`, 'yellow');
+    throw error;
+  }
+
+  for (const reason of skipped) {
+    log(`⚠️  Skipped ${reason}`, 'yellow');
+  }
+  log(`📒 Recorded in ${LEDGER_PATH}`, 'blue');
+
+  return skipped;
+}
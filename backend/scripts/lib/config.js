@@ -0,0 +1,241 @@
+/**
+ * Config snapshots: flows, operations, dashboards, panels and presets without
+ * database IDs
+ *
+ * Like access.js, every object is normalized so instances can be compared and
+ * matched by stable keys:
+ *
+ *   flows        by name; `operation` is the key of the first operation
+ *   operations   by flow name + operation key; `resolve` / `reject` are keys,
+ *                and a "trigger" operation's flow is a flow name
+ *   dashboards   by name
+ *   panels       by dashboard name + panel name (or type and position when unnamed)
+ *   presets      by collection + bookmark + owner; the owning user is an email,
+ *                the owning role a role name
+ *
+ * User and role IDs inside flow, operation and panel options (notification
+ * `recipient` users, the role in an operation's `permissions`) are emails and
+ * role names as well. IDs that match no user with an email or no role are
+ * kept as they are and reported by findUnresolvedRefs().
+ *
+ * Creation metadata (user_created, date_created, timestamp) is left out.
+ */
+
+import { diffByKey } from './keyed-diff.js';
+
+export const CONFIG_LABELS = {
+  flows: 'flow',
+  operations: 'operation',
+  dashboards: 'dashboard',
+  panels: 'panel',
+  presets: 'preset'
+};
+
+export const flowKey = flow => flow.name;
+export const operationKey = operation => `${operation.flow}: ${operation.key}`;
+export const dashboardKey = dashboard => dashboard.name;
+export const panelKey = panel =>
+  `${panel.dashboard}: ${panel.name || `${panel.type} @${panel.position_x},${panel.position_y}`}`;
+export const presetKey = preset =>
+  `${preset.collection}: ${preset.bookmark || 'default view'} (${preset.user || (preset.role ? `role ${preset.role}` : 'everyone')})`;
+
+const KEYS = {
+  flows: flowKey,
+  operations: operationKey,
+  dashboards: dashboardKey,
+  panels: panelKey,
+  presets: presetKey
+};
+
+const byKey = keyOf => (a, b) => keyOf(a).localeCompare(keyOf(b));
+
+/**
+ * Swap the flow a "trigger" operation runs between ID and name
+ */
+export function mapTriggerFlow(operation, options, flowRefs) {
+  if (operation.type !== 'trigger' || !options?.flow) {
+    return options ?? null;
+  }
+  return { ...options, flow: flowRefs.get(options.flow) ?? options.flow };
+}
+
+// Option keys holding user IDs and role IDs, at any depth of the options
+const USER_OPTIONS = ['recipient'];
+const ROLE_OPTIONS = ['permissions'];
+
+// Templates ("{{$trigger.user}}") and special values ("$trigger", "$full") are not IDs
+const isReference = value => typeof value === 'string' && !value.startsWith('$') && !value.includes('{{');
+
+/**
+ * Swap the user and role references in flow, operation or panel options
+ * through `users` and `roles` (ID to email / name, or back). A reference
+ * with no mapping is passed to `onMissing(kind, value)`, which returns what
+ * to keep in its place; undefined leaves it out.
+ */
+export function mapOptionRefs(options, { users, roles }, onMissing) {
+  const mapValue = (value, refs, kind) => {
+    if (!isReference(value)) return value;
+    return refs.has(value) ? refs.get(value) : onMissing(kind, value);
+  };
+
+  const walk = value => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      const refs = USER_OPTIONS.includes(key) ? [users, 'user'] : ROLE_OPTIONS.includes(key) ? [roles, 'role'] : null;
+      if (!refs) return [key, walk(item)];
+      return [key, Array.isArray(item)
+        ? item.map(entry => mapValue(entry, ...refs)).filter(entry => entry !== undefined)
+        : mapValue(item, ...refs) ?? null];
+    }));
+  };
+
+  return walk(options ?? null);
+}
+
+function createRefs({ flows, operations, dashboards, users, roles }) {
+  return {
+    flowNames: new Map(flows.map(flow => [flow.id, flow.name])),
+    operationKeys: new Map(operations.map(operation => [operation.id, operation.key])),
+    dashboardNames: new Map(dashboards.map(dashboard => [dashboard.id, dashboard.name])),
+    userEmails: new Map(users.filter(user => user.email).map(user => [user.id, user.email])),
+    roleNames: new Map(roles.map(role => [role.id, role.name])),
+    unresolved: []
+  };
+}
+
+// Options with user and role IDs as emails and role names; unknown IDs are kept and reported
+function portableOptions(options, refs, label) {
+  return mapOptionRefs(options, { users: refs.userEmails, roles: refs.roleNames }, (kind, id) => {
+    refs.unresolved.push(`${label}: ${kind} ${id} ${kind === 'user' ? 'does not exist or has no email' : 'does not exist'}`);
+    return id;
+  });
+}
+
+const NORMALIZE = {
+  flows: (flow, refs) => ({
+    name: flow.name,
+    icon: flow.icon ?? null,
+    color: flow.color ?? null,
+    description: flow.description ?? null,
+    status: flow.status,
+    trigger: flow.trigger ?? null,
+    accountability: flow.accountability ?? null,
+    options: portableOptions(flow.options, refs, `flow ${flow.name}`),
+    operation: flow.operation ? refs.operationKeys.get(flow.operation) ?? null : null
+  }),
+
+  operations: (operation, refs) => ({
+    flow: refs.flowNames.get(operation.flow),
+    key: operation.key,
+    name: operation.name ?? null,
+    type: operation.type,
+    position_x: operation.position_x,
+    position_y: operation.position_y,
+    options: portableOptions(mapTriggerFlow(operation, operation.options, refs.flowNames), refs,
+      `operation ${operationKey({ flow: refs.flowNames.get(operation.flow), key: operation.key })}`),
+    resolve: operation.resolve ? refs.operationKeys.get(operation.resolve) ?? null : null,
+    reject: operation.reject ? refs.operationKeys.get(operation.reject) ?? null : null
+  }),
+
+  dashboards: dashboard => ({
+    name: dashboard.name,
+    icon: dashboard.icon ?? null,
+    note: dashboard.note ?? null,
+    color: dashboard.color ?? null
+  }),
+
+  panels: (panel, refs) => ({
+    dashboard: refs.dashboardNames.get(panel.dashboard),
+    name: panel.name ?? null,
+    icon: panel.icon ?? null,
+    color: panel.color ?? null,
+    show_header: Boolean(panel.show_header),
+    note: panel.note ?? null,
+    type: panel.type,
+    position_x: panel.position_x,
+    position_y: panel.position_y,
+    width: panel.width,
+    height: panel.height,
+    options: portableOptions(panel.options, refs, `panel ${panelKey({ ...panel, dashboard: refs.dashboardNames.get(panel.dashboard) })}`)
+  }),
+
+  presets: (preset, refs) => ({
+    collection: preset.collection,
+    bookmark: preset.bookmark ?? null,
+    user: preset.user ? refs.userEmails.get(preset.user) : null,
+    role: preset.role ? refs.roleNames.get(preset.role) ?? null : null,
+    search: preset.search ?? null,
+    filter: preset.filter ?? null,
+    layout: preset.layout ?? null,
+    layout_query: preset.layout_query ?? null,
+    layout_options: preset.layout_options ?? null,
+    refresh_interval: preset.refresh_interval ?? null,
+    icon: preset.icon ?? null,
+    color: preset.color ?? null
+  })
+};
+
+// Presets of users without an email cannot be matched on another instance
+function isPortable(section, item, refs) {
+  return section !== 'presets' || !item.user || refs.userEmails.has(item.user);
+}
+
+/**
+ * Normalize the config objects read from an instance. `users` and `roles`
+ * resolve the owners of presets.
+ */
+export function normalizeConfig(raw) {
+  const refs = createRefs(raw);
+
+  return Object.fromEntries(Object.keys(CONFIG_LABELS).map(section => [
+    section,
+    raw[section]
+      .filter(item => isPortable(section, item, refs))
+      .map(item => NORMALIZE[section](item, refs))
+      .sort(byKey(KEYS[section]))
+  ]));
+}
+
+/**
+ * User and role IDs in the options of the config objects read from an
+ * instance that normalizeConfig() could not turn into emails or role names
+ */
+export function findUnresolvedRefs(raw) {
+  const refs = createRefs(raw);
+  for (const section of Object.keys(CONFIG_LABELS)) {
+    raw[section].filter(item => isPortable(section, item, refs)).forEach(item => NORMALIZE[section](item, refs));
+  }
+  return refs.unresolved;
+}
+
+/**
+ * Changes that bring the `current` config snapshot in line with `desired`
+ */
+export function diffConfig(current, desired) {
+  return Object.fromEntries(Object.keys(CONFIG_LABELS).map(section => [
+    section,
+    diffByKey(current[section], desired[section], KEYS[section], CONFIG_LABELS[section])
+  ]));
+}
+
+/**
+ * Database IDs of a target's config objects by key, plus its users by email
+ * and roles by name for remapping preset owners and option references
+ */
+export function indexConfigIds(raw) {
+  const refs = createRefs(raw);
+  const ids = {};
+
+  for (const section of Object.keys(CONFIG_LABELS)) {
+    ids[section] = new Map(raw[section]
+      .filter(item => isPortable(section, item, refs))
+      .map(item => [KEYS[section](NORMALIZE[section](item, refs)), item.id]));
+  }
+
+  ids.users = new Map([...refs.userEmails].map(([id, email]) => [email, id]));
+  ids.roles = new Map([...refs.roleNames].map(([id, name]) => [name, id]));
+
+  return ids;
+}
@@ -0,0 +1,214 @@
+/**
+ * Planning content copies between Directus instances
+ *
+ * Items are matched on the target by a natural key (such as `slug` or `term`)
+ * and created or updated, so copying the same content twice changes nothing
+ * the second time. Collections are copied in relation order, and many-to-one
+ * foreign keys between copied collections (such as `articles.category`) are
+ * remapped to the IDs the related items have on the target.
+ *
+ * The schema snapshot tells which fields can be written: aliases (o2m, collab
+ * fields) and fields Directus fills in itself (user/date created/updated) are
+ * never copied.
+ */
+
+import { log } from './cli.js';
+import { stableStringify } from './hash.js';
+
+const AUTOMATIC = ['alias', 'no-data', 'user-created', 'user-updated', 'date-created', 'date-updated'];
+
+// Target ID of an item that is only created once the copy is applied
+export const PENDING = 'pending';
+
+/**
+ * What a collection looks like to the copy: its primary key, writable fields
+ * and the collections its many-to-one fields point to
+ */
+export function describeCollection(snapshot, collection) {
+  const fields = snapshot.fields.filter(field => field.collection === collection);
+  if (fields.length === 0) {
+    throw new Error(`Collection "${collection}" does not exist in the source schema`);
+  }
+
+  const primary = fields.find(field => field.schema?.is_primary_key);
+  const meta = snapshot.collections.find(item => item.collection === collection)?.meta;
+
+  return {
+    collection,
+    singleton: Boolean(meta?.singleton),
+    primaryKey: primary?.field || 'id',
+    fields: fields
+      .filter(field => field.schema && !(field.meta?.special || []).some(special => AUTOMATIC.includes(special)))
+      .map(field => field.field),
+    relations: Object.fromEntries(snapshot.relations
+      .filter(relation => relation.collection === collection && relation.related_collection)
+      .map(relation => [relation.field, relation.related_collection]))
+  };
+}
+
+/**
+ * Order collections so every collection comes after the copied collections it
+ * points to
+ */
+export function orderCollections(snapshot, collections) {
+  const selected = new Set(collections);
+  const ordered = [];
+  const visiting = new Set();
+
+  const visit = (collection, trail) => {
+    if (ordered.includes(collection)) return;
+    if (visiting.has(collection)) {
+      throw new Error(`Circular relation between ${[...trail, collection].join(' → ')}; copy these collections in separate runs`);
+    }
+
+    visiting.add(collection);
+    for (const [field, related] of Object.entries(describeCollection(snapshot, collection).relations)) {
+      if (related === collection) {
+        throw new Error(`${collection}.${field} refers to ${collection} itself, which content copy does not support`);
+      }
+      if (selected.has(related)) {
+        visit(related, [...trail, collection]);
+      }
+    }
+    visiting.delete(collection);
+    ordered.push(collection);
+  };
+
+  for (const collection of collections) {
+    visit(collection, []);
+  }
+
+  return ordered;
+}
+
+function indexItems(items, key, label) {
+  const byKey = new Map();
+
+  for (const item of items) {
+    const value = item[key];
+    if (value === null || value === undefined || value === '') continue;
+    if (byKey.has(String(value))) {
+      throw new Error(`Two ${label} items have ${key} "${value}"; the natural key must be unique`);
+    }
+    byKey.set(String(value), item);
+  }
+
+  return byKey;
+}
+
+/**
+ * Plan the copy of one collection. `idMaps` maps each already planned
+ * collection's source IDs to target IDs (or PENDING); this collection's map
+ * is added to it.
+ */
+export function planCollection({ info, key, sourceItems, targetItems, idMaps }) {
+  const { collection, primaryKey, relations } = info;
+  const targetByKey = indexItems(targetItems, key, `${collection} target`);
+  indexItems(sourceItems, key, `${collection} source`);
+
+  const idMap = new Map();
+  idMaps.set(collection, idMap);
+
+  const changes = [];
+  const skipped = [];
+
+  for (const item of sourceItems) {
+    const naturalKey = item[key];
+    if (naturalKey === null || naturalKey === undefined || naturalKey === '') {
+      skipped.push(`${collection} ${item[primaryKey]}: no ${key}`);
+      continue;
+    }
+
+    const data = {};
+    for (const field of info.fields) {
+      if (field === primaryKey && key !== primaryKey) continue;
+      if (!(field in item)) continue;
+
+      const related = relations[field];
+      if (related && idMaps.has(related) && item[field] !== null) {
+        const mapped = idMaps.get(related).get(item[field]);
+        if (mapped === undefined) {
+          throw new Error(`${collection} "${naturalKey}" points to ${related} ${item[field]}, which is not being copied`);
+        }
+        data[field] = mapped;
+      } else {
+        data[field] = item[field];
+      }
+    }
+
+    const existing = targetByKey.get(String(naturalKey));
+    if (!existing) {
+      changes.push({ action: 'create', key: String(naturalKey), sourceId: item[primaryKey], targetId: null, data, fields: Object.keys(data) });
+      idMap.set(item[primaryKey], key === primaryKey ? item[primaryKey] : PENDING);
+      continue;
+    }
+
+    const changed = Object.keys(data).filter(field => stableStringify(data[field]) !== stableStringify(existing[field] ?? null));
+    const targetId = existing[info.primaryKey];
+    idMap.set(item[primaryKey], targetId);
+
+    changes.push({
+      action: changed.length > 0 ? 'update' : 'unchanged',
+      key: String(naturalKey),
+      sourceId: item[primaryKey],
+      targetId,
+      data: Object.fromEntries(changed.map(field => [field, data[field]])),
+      fields: changed
+    });
+  }
+
+  return { collection, key, changes, skipped };
+}
+
+/**
+ * Field-by-field differences between a singleton on the source and on the target
+ */
+export function diffSingleton(info, sourceItem, targetItem) {
+  return info.fields
+    .filter(field => field !== info.primaryKey && field in sourceItem)
+    .filter(field => stableStringify(sourceItem[field] ?? null) !== stableStringify(targetItem?.[field] ?? null))
+    .map(field => ({ field, from: targetItem?.[field] ?? null, to: sourceItem[field] ?? null }));
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+export function displayFieldDiff(changes, { source, target }) {
+  for (const { field, from, to } of changes) {
+    log(`\n✏️  ${field}`, 'blue');
+    log(`    - ${target}: ${preview(from)}`, 'red');
+    log(`    + ${source}: ${preview(to)}`, 'green');
+  }
+  log('');
+}
+
+export function countCopyChanges(plans) {
+  const count = action => plans.reduce((total, plan) => total + plan.changes.filter(change => change.action === action).length, 0);
+  return { create: count('create'), update: count('update'), unchanged: count('unchanged') };
+}
+
+export function displayCopyPlan(plans) {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('CONTENT COPY PLAN', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  for (const { collection, key, changes, skipped } of plans) {
+    const count = action => changes.filter(change => change.action === action).length;
+    log(`\n${collection} (matched by ${key}):`, 'yellow');
+    log(`  ➕ Create: ${count('create')}`, 'green');
+    log(`  ✏️  Update: ${count('update')}`, 'blue');
+    log(`  ✓  Unchanged: ${count('unchanged')}`, 'reset');
+
+    for (const change of changes.filter(item => item.action !== 'unchanged')) {
+      const detail = change.action === 'update' ? ` (${change.fields.join(', ')})` : '';
+      log(`    ${change.action === 'create' ? '➕' : '✏️ '} ${change.key}${detail}`, change.action === 'create' ? 'green' : 'blue');
+    }
+    for (const reason of skipped) {
+      log(`    ⚠️  Skipped ${reason}`, 'yellow');
+    }
+  }
+
+  log('\n' + '='.repeat(60) + '\n', 'cyan');
+}
@@ -0,0 +1,75 @@
+/**
+ * Schema drift reports
+ *
+ * A drift report compares the schema an environment is expected to have (a
+ * profile or a committed snapshot file) with the schema it actually has, and
+ * lists the changes that would bring the actual schema in line:
+ *
+ *   {
+ *     "status": "match" | "drift" | "error",
+ *     "checkedAt": "2025-10-19T22:29:47.520Z",
+ *     "expected": { "name": "local", "kind": "profile", "directus": "11.12.0", "hash": "..." },
+ *     "actual": { "name": "production", "kind": "profile", "directus": "11.12.0", "hash": "..." },
+ *     "summary": { "collections": {...}, "fields": {...}, "relations": {...}, "total": 3 },
+ *     "changes": [{ "type": "field", "action": "update", "name": "articles.content", "paths": ["meta.note"] }],
+ *     "error": null
+ *   }
+ */
+
+import { hashContent } from './hash.js';
+import { analyzeDiff, describeRecord, diffSnapshots, filterDiff } from './schema-diff.js';
+import { loadIgnoreRules, withoutIgnored } from './ignore.js';
+
+export const DRIFT_EXIT_CODES = { match: 0, drift: 1, error: 2 };
+
+function describeSide({ name, kind, location, snapshot }) {
+  return {
+    name,
+    kind,
+    location,
+    directus: snapshot.directus,
+    vendor: snapshot.vendor,
+    hash: hashContent(snapshot)
+  };
+}
+
+/**
+ * The changes that would bring `actual` in line with `expected`, limited to
+ * the --only / --exclude selection. Ignored fields never count as drift.
+ */
+export function diffDrift(expected, actual, filters = {}, rules = loadIgnoreRules()) {
+  return filterDiff(diffSnapshots(withoutIgnored(actual.snapshot, rules), withoutIgnored(expected.snapshot, rules)), filters);
+}
+
+/**
+ * Build the report for a drift diff. `expected` and `actual` are
+ * `{ name, kind: 'profile' | 'file', location, snapshot }`.
+ */
+export function createDriftReport(expected, actual, diff) {
+  const { stats, changes } = analyzeDiff(diff);
+
+  return {
+    status: stats.total === 0 ? 'match' : 'drift',
+    checkedAt: new Date().toISOString(),
+    expected: describeSide(expected),
+    actual: describeSide(actual),
+    summary: stats,
+    changes: changes.map(({ type, action, name, entry }) => ({
+      type,
+      action,
+      name,
+      paths: action === 'update'
+        ? [...new Set(entry.diff.map(record => describeRecord(record).path))]
+        : []
+    })),
+    error: null
+  };
+}
+
+export function createErrorReport(error) {
+  return {
+    status: 'error',
+    checkedAt: new Date().toISOString(),
+    error: error.message
+  };
+}
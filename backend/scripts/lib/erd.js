@@ -0,0 +1,200 @@
+/**
+ * Data model documentation from schema snapshots
+ *
+ * A snapshot is turned into a model of collections, fields and many-to-one
+ * relations, which is rendered as:
+ *
+ *   erd.mmd              Mermaid erDiagram (renders on GitHub)
+ *   erd.dot              Graphviz DOT (`dot -Tsvg erd.dot > erd.svg`)
+ *   data-dictionary.md   every collection and field with its type,
+ *                        nullability, interface and relation
+ *
+ * System collections only appear as the targets of relations
+ * (`supporting_documents.file` → `directus_files`); their fields are not listed.
+ */
+
+const isSystem = name => name.startsWith('directus_');
+
+function relationOf(field, snapshot) {
+  const own = snapshot.relations.find(item => item.collection === field.collection && item.field === field.field);
+  if (own) {
+    return own.related_collection
+      ? { kind: 'm2o', collection: own.related_collection }
+      : { kind: 'm2a', collections: own.meta?.one_allowed_collections || [] };
+  }
+
+  const inverse = snapshot.relations.find(item =>
+    item.related_collection === field.collection && item.meta?.one_field === field.field);
+  return inverse ? { kind: 'o2m', collection: inverse.collection, field: inverse.field } : null;
+}
+
+/**
+ * Collections (user collections plus the system collections they point to),
+ * their fields and the many-to-one relations between them. `filter` picks the
+ * user collections to include.
+ */
+export function describeModel(snapshot, filter = () => true) {
+  const collections = snapshot.collections
+    .filter(item => !isSystem(item.collection) && filter(item.collection))
+    .map(item => ({
+      name: item.collection,
+      note: item.meta?.note || null,
+      singleton: Boolean(item.meta?.singleton),
+      group: !item.schema,
+      fields: snapshot.fields
+        .filter(field => field.collection === item.collection)
+        .sort((a, b) => (a.meta?.sort ?? Infinity) - (b.meta?.sort ?? Infinity) || a.field.localeCompare(b.field))
+        .map(field => ({
+          name: field.field,
+          type: field.type,
+          alias: !field.schema,
+          nullable: field.schema ? field.schema.is_nullable !== false : null,
+          primary: Boolean(field.schema?.is_primary_key),
+          unique: Boolean(field.schema?.is_unique),
+          interface: field.meta?.interface || null,
+          note: field.meta?.note || null,
+          relation: relationOf(field, snapshot)
+        }))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const included = new Set(collections.map(item => item.name));
+  const relations = snapshot.relations
+    .filter(item => included.has(item.collection) && item.related_collection)
+    .filter(item => included.has(item.related_collection) || isSystem(item.related_collection))
+    .map(item => ({
+      collection: item.collection,
+      field: item.field,
+      related: item.related_collection,
+      nullable: snapshot.fields.find(field => field.collection === item.collection && field.field === item.field)
+        ?.schema?.is_nullable !== false
+    }))
+    .sort((a, b) => `${a.collection}.${a.field}`.localeCompare(`${b.collection}.${b.field}`));
+
+  const system = [...new Set(relations.map(item => item.related).filter(isSystem))].sort();
+
+  return { collections: collections.filter(item => !item.group), system, relations };
+}
+
+function fieldKeys(field) {
+  return [field.primary && 'PK', field.relation?.kind === 'm2o' && 'FK', field.unique && !field.primary && 'UK']
+    .filter(Boolean);
+}
+
+export function renderMermaid(model) {
+  const lines = ['erDiagram'];
+
+  for (const collection of model.collections) {
+    const columns = collection.fields.filter(field => !field.alias);
+    if (columns.length === 0) {
+      lines.push(`    ${collection.name}`);
+      continue;
+    }
+    lines.push(`    ${collection.name} {`);
+    for (const field of columns) {
+      const keys = fieldKeys(field);
+      lines.push(`        ${field.type} ${field.name}${keys.length > 0 ? ` ${keys.join(', ')}` : ''}`);
+    }
+    lines.push('    }');
+  }
+
+  // System collections are declared by their relations
+  for (const relation of model.relations) {
+    lines.push(`    ${relation.related} ${relation.nullable ? '|o' : '||'}--o{ ${relation.collection} : "${relation.field}"`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Characters with a meaning in DOT record labels
+const escapeRecord = text => String(text).replace(/([{}|<>"\\])/g, '\\$1');
+
+export function renderDot(model) {
+  const lines = [
+    'digraph data_model {',
+    '  rankdir=LR;',
+    '  node [shape=record, fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=9];',
+    ''
+  ];
+
+  for (const collection of model.collections) {
+    const rows = collection.fields
+      .filter(field => !field.alias)
+      .map(field => {
+        const keys = fieldKeys(field);
+        return `${escapeRecord(field.name)} : ${escapeRecord(field.type)}${keys.length > 0 ? ` (${keys.join(', ')})` : ''}\\l`;
+      });
+    lines.push(`  "${collection.name}" [label="{${escapeRecord(collection.name)}|${rows.join('')}}"];`);
+  }
+
+  for (const name of model.system) {
+    lines.push(`  "${name}" [label="${name}", style=dashed];`);
+  }
+
+  lines.push('');
+  for (const relation of model.relations) {
+    lines.push(`  "${relation.collection}" -> "${relation.related}" [label="${relation.field}"${relation.nullable ? ', style=dashed' : ''}];`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// Pipes would end a Markdown table cell; newlines would end the row
+const cell = text => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+function describeRelation(relation) {
+  if (!relation) return '';
+  if (relation.kind === 'm2o') return `→ \`${relation.collection}\``;
+  if (relation.kind === 'o2m') return `← \`${relation.collection}.${relation.field}\``;
+  return `→ any of ${relation.collections.map(name => `\`${name}\``).join(', ') || 'any collection'}`;
+}
+
+/**
+ * The data dictionary, with the Mermaid diagram embedded. `source` says which
+ * snapshot it was generated from.
+ */
+export function renderDataDictionary(model, { title = 'Data Model', source, directus, vendor } = {}) {
+  const lines = [`# ${title}`, ''];
+
+  if (source) {
+    const version = [directus && `Directus ${directus}`, vendor].filter(Boolean).join(', ');
+    lines.push(`Generated from \`${source}\`${version ? ` (${version})` : ''}.`, '');
+  }
+
+  lines.push('## Diagram', '', '```mermaid', renderMermaid(model).trimEnd(), '```', '');
+
+  lines.push('## Collections', '');
+  for (const collection of model.collections) {
+    const kind = collection.singleton ? ' (singleton)' : '';
+    lines.push(`- [\`${collection.name}\`](#${collection.name})${kind}${collection.note ? ` - ${cell(collection.note)}` : ''}`);
+  }
+  lines.push('');
+
+  for (const collection of model.collections) {
+    lines.push(`## ${collection.name}`, '');
+    if (collection.note) {
+      lines.push(cell(collection.note), '');
+    }
+    if (collection.singleton) {
+      lines.push('Singleton: holds exactly one item.', '');
+    }
+
+    lines.push('| Field | Type | Nullable | Interface | Relation | Note |', '|---|---|---|---|---|---|');
+    for (const field of collection.fields) {
+      const keys = [field.primary && 'primary key', field.unique && !field.primary && 'unique'].filter(Boolean);
+      lines.push(`| ${[
+        `\`${field.name}\`${keys.length > 0 ? ` (${keys.join(', ')})` : ''}`,
+        field.alias ? `${field.type} (no column)` : field.type,
+        field.nullable === null ? '' : field.nullable ? 'yes' : 'no',
+        field.interface ? `\`${field.interface}\`` : '',
+        describeRelation(field.relation),
+        field.note ? cell(field.note) : ''
+      ].join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,87 @@
+/**
+ * Reading, comparing and uploading files through the Directus API
+ *
+ * See file-sync.js for how files are planned. Directus stores no checksum for
+ * files, so assets that exist on both instances with the same size are
+ * downloaded and hashed to tell whether their content differs.
+ */
+
+import { createHash } from 'crypto';
+import { readFiles, readFolders, createFolder, readAssetArrayBuffer, uploadFiles, updateFile } from '@directus/sdk';
+import { FILE_METADATA, fileMetadata } from './file-sync.js';
+
+// Keeps `id: { _in: [...] }` filters well below URL length limits
+const BATCH_SIZE = 50;
+
+/**
+ * Files with the given IDs; IDs that do not exist are left out
+ */
+export async function readFilesById(client, ids) {
+  const files = [];
+
+  for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+    files.push(...await client.request(readFiles({
+      fields: ['id', 'filesize', 'storage', ...FILE_METADATA],
+      filter: { id: { _in: ids.slice(start, start + BATCH_SIZE) } },
+      limit: -1
+    })));
+  }
+
+  return files;
+}
+
+export async function readAllFolders(client) {
+  return client.request(readFolders({ fields: ['id', 'name', 'parent'], limit: -1 }));
+}
+
+async function download(client, id) {
+  return Buffer.from(await client.request(readAssetArrayBuffer(id)));
+}
+
+export async function checksumFile(client, id) {
+  return createHash('sha256').update(await download(client, id)).digest('hex');
+}
+
+/**
+ * Checksums of the files that exist on both instances with the same size
+ */
+export async function compareChecksums(sourceClient, targetClient, sourceFiles, targetFiles) {
+  const targetById = new Map(targetFiles.map(file => [file.id, file]));
+  const checksums = { source: new Map(), target: new Map() };
+
+  for (const file of sourceFiles) {
+    const existing = targetById.get(file.id);
+    if (!existing || Number(existing.filesize) !== Number(file.filesize)) continue;
+
+    checksums.source.set(file.id, await checksumFile(sourceClient, file.id));
+    checksums.target.set(file.id, await checksumFile(targetClient, file.id));
+  }
+
+  return checksums;
+}
+
+export async function createFolders(client, folders) {
+  for (const folder of folders) {
+    await client.request(createFolder(folder));
+  }
+}
+
+/**
+ * Copy one planned file to the target under its source UUID. The content is
+ * uploaded first, then the metadata is set, so nothing Directus derives from
+ * the upload overrides it.
+ */
+export async function syncFile(sourceClient, targetClient, { id, action, file }) {
+  if (action === 'upload' || action === 'replace') {
+    const form = new FormData();
+    if (action === 'upload') {
+      form.append('id', id);
+    }
+    form.append('file', new Blob([await download(sourceClient, id)], { type: file.type || 'application/octet-stream' }),
+      file.filename_download || id);
+
+    await targetClient.request(action === 'upload' ? uploadFiles(form) : updateFile(id, form));
+  }
+
+  await targetClient.request(updateFile(id, fileMetadata(file)));
+}
@@ -0,0 +1,168 @@
+/**
+ * Planning file syncs between Directus instances
+ *
+ * Content copied with content-copy.js keeps the `directus_files` UUIDs it
+ * points to (`articles.PDF`, `global_settings.logo`, ...). A file sync finds
+ * every file those items reference and brings it to the target under the same
+ * UUID, in the same folder and with the same metadata:
+ *
+ *   upload      the file does not exist on the target
+ *   replace     the file exists but its content differs (size or checksum)
+ *   update      same content, different metadata
+ *   unchanged   nothing to do
+ *
+ * References to files that do not exist on the source either are orphaned and
+ * only reported.
+ */
+
+import { log } from './cli.js';
+import { stableStringify } from './hash.js';
+
+export const FILES_COLLECTION = 'directus_files';
+
+// Metadata kept when a file is synced; Directus derives the rest from the upload
+export const FILE_METADATA = [
+  'title', 'description', 'tags', 'location', 'filename_download', 'type',
+  'folder', 'focal_point_x', 'focal_point_y'
+];
+
+/**
+ * Fields pointing to `directus_files` in the given collections (all
+ * collections when none are given)
+ */
+export function findFileFields(snapshot, collections = []) {
+  return snapshot.relations
+    .filter(relation => relation.related_collection === FILES_COLLECTION)
+    .filter(relation => collections.length === 0 || collections.includes(relation.collection))
+    .map(relation => ({
+      collection: relation.collection,
+      field: relation.field,
+      primaryKey: snapshot.fields.find(field => field.collection === relation.collection && field.schema?.is_primary_key)?.field || 'id'
+    }))
+    .sort((a, b) => `${a.collection}.${a.field}`.localeCompare(`${b.collection}.${b.field}`));
+}
+
+/**
+ * Map each referenced file ID to the items referencing it, e.g.
+ * `articles 12.PDF`. `items` maps collection names to their items.
+ */
+export function collectFileReferences(items, fileFields) {
+  const references = new Map();
+
+  for (const { collection, field, primaryKey } of fileFields) {
+    for (const item of items.get(collection) || []) {
+      const id = item[field];
+      if (!id) continue;
+      if (!references.has(id)) references.set(id, []);
+      references.get(id).push(`${collection} ${item[primaryKey]}.${field}`);
+    }
+  }
+
+  return references;
+}
+
+export function fileMetadata(file) {
+  return Object.fromEntries(FILE_METADATA.map(key => [key, file[key] ?? null]));
+}
+
+/**
+ * Plan the sync of the referenced files. `checksums` holds the source and
+ * target checksums of files that exist on both sides with the same size.
+ */
+export function planFileSync({ references, sourceFiles, targetFiles, checksums }) {
+  const sourceById = new Map(sourceFiles.map(file => [file.id, file]));
+  const targetById = new Map(targetFiles.map(file => [file.id, file]));
+
+  const changes = [];
+  const orphaned = [];
+
+  for (const [id, referencedBy] of [...references].sort(([a], [b]) => a.localeCompare(b))) {
+    const file = sourceById.get(id);
+    if (!file) {
+      orphaned.push({ id, references: referencedBy });
+      continue;
+    }
+
+    const existing = targetById.get(id);
+    let action;
+    if (!existing) {
+      action = 'upload';
+    } else if (Number(existing.filesize) !== Number(file.filesize) ||
+      checksums.source.get(id) !== checksums.target.get(id)) {
+      action = 'replace';
+    } else if (stableStringify(fileMetadata(existing)) !== stableStringify(fileMetadata(file))) {
+      action = 'update';
+    } else {
+      action = 'unchanged';
+    }
+
+    changes.push({ id, action, file, references: referencedBy });
+  }
+
+  return { changes, orphaned };
+}
+
+/**
+ * Folders the synced files need that the target lacks, parents first
+ */
+export function missingFolders(folderIds, sourceFolders, targetFolders) {
+  const sourceById = new Map(sourceFolders.map(folder => [folder.id, folder]));
+  const existing = new Set(targetFolders.map(folder => folder.id));
+  const missing = [];
+
+  const visit = id => {
+    if (!id || existing.has(id)) return;
+    const folder = sourceById.get(id);
+    if (!folder) {
+      throw new Error(`Folder ${id} does not exist on the source`);
+    }
+    existing.add(id);
+    visit(folder.parent);
+    missing.push({ id: folder.id, name: folder.name, parent: folder.parent ?? null });
+  };
+
+  for (const id of folderIds) {
+    visit(id);
+  }
+
+  return missing;
+}
+
+export function countFileChanges(plan) {
+  const count = action => plan.changes.filter(change => change.action === action).length;
+  return { upload: count('upload'), replace: count('replace'), update: count('update'), unchanged: count('unchanged') };
+}
+
+const ICONS = { upload: '➕', replace: '🔄', update: '✏️ ' };
+const COLORS = { upload: 'green', replace: 'yellow', update: 'blue' };
+
+export function displayFileSyncPlan(plan, folders = []) {
+  const counts = countFileChanges(plan);
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('FILE SYNC PLAN', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  log(`\n  ➕ Upload: ${counts.upload}`, 'green');
+  log(`  🔄 Replace: ${counts.replace}`, 'yellow');
+  log(`  ✏️  Update metadata: ${counts.update}`, 'blue');
+  log(`  ✓  Unchanged: ${counts.unchanged}`, 'reset');
+
+  for (const change of plan.changes.filter(item => item.action !== 'unchanged')) {
+    const name = change.file.filename_download || change.file.title || change.id;
+    log(`    ${ICONS[change.action]} ${name} (${change.id})`, COLORS[change.action]);
+  }
+
+  for (const folder of folders) {
+    log(`    📁 Create folder ${folder.name} (${folder.id})`, 'blue');
+  }
+
+  if (plan.orphaned.length > 0) {
+    log(`\n⚠️  ${plan.orphaned.length} orphaned reference(s) - the file does not exist on the source:`, 'yellow');
+    for (const { id, references } of plan.orphaned) {
+      log(`    ${id}: ${references.join(', ')}`, 'yellow');
+    }
+  }
+
+  log('\n' + '='.repeat(60) + '\n', 'cyan');
+}
@@ -0,0 +1,26 @@
+/**
+ * Minimal glob matching for collection and field names
+ *
+ * `*` matches any run of characters and `?` a single character, so
+ * `*.collab_*` matches `articles.collab_articles`.
+ */
+
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesGlob(name, pattern) {
+  return globToRegExp(pattern).test(name);
+}
+
+export function matchesAny(name, patterns = []) {
+  return patterns.some(pattern => matchesGlob(name, pattern));
+}
@@ -0,0 +1,28 @@
+/**
+ * Content hashing for schema snapshots, diffs and plans
+ *
+ * Hashes are computed over a key-sorted serialization, so two documents with
+ * the same content always hash the same regardless of key order.
+ */
+
+import { createHash } from 'crypto';
+
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+export function hashContent(value) {
+  return createHash('sha1').update(stableStringify(value)).digest('hex');
+}
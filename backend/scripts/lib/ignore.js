@@ -0,0 +1,176 @@
+/**
+ * Ignore rules for schema managed outside the content model
+ *
+ * Extensions add fields of their own to the schema, such as the
+ * collaborative-editing extension's `collab_*` alias on every collection, and
+ * the migration lock (lock-api.js) has a collection of its own. The ignore
+ * file (scripts/schema-ignore.json) lists fields by `collection.field` glob,
+ * or by the interfaces and collections an extension owns:
+ *
+ *   {
+ *     "fields": ["articles.legacy_*"],
+ *     "extensions": {
+ *       "collaborative-editing": {
+ *         "interfaces": ["presentation-collab-*"],
+ *         "fields": ["directus_settings.collaborative_editing_settings"]
+ *       },
+ *       "migration-lock": { "collections": ["migration_locks"] }
+ *     }
+ *   }
+ *
+ * Ignored collections, fields and their relations are left out of captured
+ * snapshots and dropped from diffs before review and apply, so migrations
+ * neither show nor change them - in particular, they never delete them.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './cli.js';
+import { matchesAny } from './glob.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_IGNORE_PATH = path.join(__dirname, '..', 'schema-ignore.json');
+
+// Owner of fields listed under "fields"
+export const IGNORE_LIST = 'ignore list';
+
+const EMPTY_RULES = { fields: [], extensions: {} };
+
+/**
+ * Read the ignore rules. Without an ignore file nothing is ignored.
+ */
+export function loadIgnoreRules(filePath = DEFAULT_IGNORE_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return EMPTY_RULES;
+  }
+
+  const rules = { ...EMPTY_RULES, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  if (!Array.isArray(rules.fields)) {
+    throw new Error(`Ignore file ${filePath}: "fields" must be a list of collection.field globs`);
+  }
+  for (const [name, owner] of Object.entries(rules.extensions)) {
+    if (!['fields', 'interfaces', 'collections'].every(key => Array.isArray(owner[key] || []))) {
+      throw new Error(`Ignore file ${filePath}: extension "${name}" needs "fields", "interfaces" and/or "collections" lists`);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * The extension that owns a whole collection, or null
+ */
+export function collectionIgnoredBy(collection, rules) {
+  for (const [owner, { collections = [] }] of Object.entries(rules.extensions)) {
+    if (matchesAny(collection, collections)) {
+      return owner;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The owner that makes a snapshot field ignored (an extension name or
+ * IGNORE_LIST), or null. Every field of an ignored collection is ignored.
+ */
+export function ignoredBy(field, rules) {
+  const name = `${field.collection}.${field.field}`;
+  if (matchesAny(name, rules.fields)) {
+    return IGNORE_LIST;
+  }
+
+  const fieldInterface = field.meta?.interface;
+  for (const [owner, { fields = [], interfaces = [] }] of Object.entries(rules.extensions)) {
+    if (matchesAny(name, fields) || (fieldInterface && matchesAny(fieldInterface, interfaces))) {
+      return owner;
+    }
+  }
+
+  return collectionIgnoredBy(field.collection, rules);
+}
+
+// The owner of a relation: that of its field, or of the collection it points to
+const relationIgnoredBy = (relation, rules) =>
+  ignoredBy(relation, rules) || (relation.related_collection ? collectionIgnoredBy(relation.related_collection, rules) : null);
+
+/**
+ * A copy of the snapshot without ignored collections and fields, and the
+ * relations on or to them
+ */
+export function withoutIgnored(snapshot, rules) {
+  const collections = snapshot.collections.filter(collection => !collectionIgnoredBy(collection.collection, rules));
+  const fields = snapshot.fields.filter(field => !ignoredBy(field, rules));
+  const relations = snapshot.relations.filter(relation => !relationIgnoredBy(relation, rules));
+  if (collections.length === snapshot.collections.length &&
+      fields.length === snapshot.fields.length &&
+      relations.length === snapshot.relations.length) {
+    return snapshot;
+  }
+
+  return { ...snapshot, collections, fields, relations };
+}
+
+/**
+ * Drop changes to ignored collections, fields and their relations from a
+ * diff. A field is matched on its name, or on the interface of the field
+ * being created or deleted. Returns the remaining diff (with the original
+ * hash, so it can be applied) and the ignored changes as `{ name, owner }`.
+ */
+export function ignoreChanges(diff, rules) {
+  const owners = new Map();
+  for (const entry of diff.diff.fields || []) {
+    const record = entry.diff?.find(item => !item.path);
+    const owner = ignoredBy({ ...entry, meta: (record?.rhs || record?.lhs)?.meta }, rules);
+    if (owner) owners.set(`${entry.collection}.${entry.field}`, owner);
+  }
+
+  const ignored = [];
+  const keep = section => entry => {
+    const name = `${entry.collection}.${entry.field}`;
+    const owner = owners.get(name) || (entry.field ? ignoredBy(entry, rules) : null) ||
+      (section === 'relations' ? relationIgnoredBy(relationOf(entry), rules) : null);
+    if (!owner) return true;
+    ignored.push({ name: section === 'relations' ? `${name} (relation)` : name, owner });
+    return false;
+  };
+  const keepCollection = entry => {
+    const owner = collectionIgnoredBy(entry.collection, rules);
+    if (!owner) return true;
+    ignored.push({ name: entry.collection, owner });
+    return false;
+  };
+
+  return {
+    diff: {
+      ...diff,
+      diff: {
+        ...diff.diff,
+        collections: (diff.diff.collections || []).filter(keepCollection),
+        fields: (diff.diff.fields || []).filter(keep('fields')),
+        relations: (diff.diff.relations || []).filter(keep('relations'))
+      }
+    },
+    ignored
+  };
+}
+
+// The relation a diff entry creates, deletes or updates
+function relationOf(entry) {
+  const record = entry.diff?.find(item => !item.path);
+  return { ...entry, ...(record?.rhs || record?.lhs) };
+}
+
+export function displayIgnored(ignored) {
+  if (ignored.length === 0) return;
+
+  const byOwner = new Map();
+  for (const { owner } of ignored) {
+    byOwner.set(owner, (byOwner.get(owner) || 0) + 1);
+  }
+  const owners = [...byOwner].map(([owner, count]) => `${owner}: ${count}`).join(', ');
+  log(`🙈 Ignored ${ignored.length} change(s) to schema managed outside the content model (${owners})`, 'blue');
+}
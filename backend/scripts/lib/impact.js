@@ -0,0 +1,84 @@
+/**
+ * Data-loss impact analysis for schema diffs
+ *
+ * For every collection delete, field delete and field type change in a diff,
+ * counts the rows (or non-null values) on the target instance that would be
+ * dropped or need conversion, so the confirmation prompt shows the data at
+ * stake rather than only the number of schema changes.
+ */
+
+import { aggregate } from '@directus/sdk';
+import { log } from './cli.js';
+import { findDestructiveChanges } from './policy.js';
+
+async function countValues(client, collection, field = '*') {
+  const [result] = await client.request(aggregate(collection, { aggregate: { count: field } }));
+  const count = field === '*' ? result?.count : result?.count?.[field];
+  return Number(count || 0);
+}
+
+function describe(impact) {
+  const { change, count } = impact;
+
+  if (change.type === 'collection') {
+    return `${change.name}: ${count} rows will be dropped`;
+  }
+  if (change.operation === 'type-change') {
+    return `${change.name}: ${count} non-null values need conversion (${change.from} → ${change.to})`;
+  }
+  return `${change.name}: ${count} non-null values will be dropped`;
+}
+
+/**
+ * Count the data affected by each destructive change on the target instance
+ */
+export async function analyzeImpact(client, diff) {
+  const impacts = [];
+
+  for (const change of findDestructiveChanges(diff)) {
+    // Alias fields (presentation, o2m, m2m) have no column and hold no data
+    if (change.fieldType === 'alias') {
+      impacts.push({ change, count: 0, message: `${change.name}: alias field, no stored data` });
+      continue;
+    }
+
+    try {
+      const count = change.type === 'collection'
+        ? await countValues(client, change.collection)
+        : await countValues(client, change.collection, change.field);
+      const impact = { change, count };
+      impacts.push({ ...impact, message: describe(impact) });
+    } catch (error) {
+      impacts.push({ change, count: null, message: `${change.name}: unable to count affected data (${error.message})` });
+    }
+  }
+
+  return impacts;
+}
+
+export function displayImpact(impacts) {
+  if (impacts.length === 0) {
+    return;
+  }
+
+  log('\n' + '-'.repeat(60), 'cyan');
+  log('DATA AT STAKE', 'cyan');
+  log('-'.repeat(60), 'cyan');
+
+  for (const impact of impacts) {
+    const color = impact.count === null ? 'yellow' : impact.count > 0 ? 'red' : 'green';
+    log(`  ${impact.count > 0 ? '⚠️ ' : '•'} ${impact.message}`, color);
+  }
+
+  log('');
+}
+
+/**
+ * Total of affected rows and values; unknown counts are reported separately
+ */
+export function summarizeImpact(impacts) {
+  return {
+    affected: impacts.reduce((sum, impact) => sum + (impact.count || 0), 0),
+    unknown: impacts.filter(impact => impact.count === null).length
+  };
+}
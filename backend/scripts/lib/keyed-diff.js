@@ -0,0 +1,126 @@
+/**
+ * Diffs of Directus system objects matched by stable keys
+ *
+ * Roles, policies, permissions, flows and the like have database IDs that
+ * differ between instances, so they are matched by a key built from their
+ * content (a name, or policy + collection + action) instead. A keyed diff is
+ * `{ <section>: [change] }`, where each change is
+ *
+ *   { key, action: 'create' | 'update' | 'delete', from, to, paths }
+ *
+ * `from` is the target's item, `to` the source's item and `paths` the changed
+ * properties of an update.
+ */
+
+import { log } from './cli.js';
+import { deepDiff, describeRecord } from './schema-diff.js';
+
+/**
+ * Map items by key, refusing duplicate keys (they could not be matched reliably)
+ */
+export function indexByKey(items, keyOf, label = 'item') {
+  const byKey = new Map();
+
+  for (const item of items) {
+    const key = keyOf(item);
+    if (byKey.has(key)) {
+      throw new Error(`Two ${label}s share the key "${key}"; rename one so they can be matched`);
+    }
+    byKey.set(key, item);
+  }
+
+  return byKey;
+}
+
+/**
+ * Changes that turn `current` (the target's items) into `desired` (the source's items)
+ */
+export function diffByKey(current, desired, keyOf, label) {
+  const currentByKey = indexByKey(current, keyOf, label);
+  const desiredByKey = indexByKey(desired, keyOf, label);
+  const changes = [];
+
+  for (const [key, to] of desiredByKey) {
+    const from = currentByKey.get(key);
+    if (!from) {
+      changes.push({ key, action: 'create', from: null, to, paths: [] });
+      continue;
+    }
+
+    const records = deepDiff(from, to);
+    if (records.length > 0) {
+      const paths = [...new Set(records.map(record => describeRecord(record).path))];
+      changes.push({ key, action: 'update', from, to, paths });
+    }
+  }
+
+  for (const [key, from] of currentByKey) {
+    if (!desiredByKey.has(key)) {
+      changes.push({ key, action: 'delete', from, to: null, paths: [] });
+    }
+  }
+
+  return changes.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+export function countChanges(diff) {
+  return Object.values(diff).reduce((total, changes) => total + changes.length, 0);
+}
+
+/**
+ * Split off the deletes, which are only applied when asked for
+ */
+export function withoutDeletes(diff) {
+  const kept = {};
+  const deletes = {};
+
+  for (const [section, changes] of Object.entries(diff)) {
+    kept[section] = changes.filter(change => change.action !== 'delete');
+    deletes[section] = changes.filter(change => change.action === 'delete');
+  }
+
+  return { kept, deletes };
+}
+
+/**
+ * Print a keyed diff in the same layout as the schema migration summary.
+ * `labels` maps each section to the singular name shown in change lines.
+ */
+export function displayKeyedDiff(title, diff, labels, { verbose = false } = {}) {
+  log('\n' + '='.repeat(60), 'cyan');
+  log(title, 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  log(`\nTotal changes: ${countChanges(diff)}`, 'yellow');
+
+  for (const [section, changes] of Object.entries(diff)) {
+    const count = action => changes.filter(change => change.action === action).length;
+    log(`\n${section[0].toUpperCase()}${section.slice(1)}:`, 'yellow');
+    log(`  ➕ Create: ${count('create')}`, 'green');
+    log(`  ✏️  Update: ${count('update')}`, 'blue');
+    log(`  ❌ Delete: ${count('delete')}`, 'red');
+  }
+
+  log('\n' + '-'.repeat(60), 'cyan');
+  log('DETAILED CHANGES', 'cyan');
+  log('-'.repeat(60), 'cyan');
+
+  for (const [section, changes] of Object.entries(diff)) {
+    for (const change of changes) {
+      const icon = change.action === 'create' ? '➕' :
+                   change.action === 'update' ? '✏️' : '❌';
+      const color = change.action === 'create' ? 'green' :
+                    change.action === 'update' ? 'blue' : 'red';
+
+      log(`\n${icon} ${change.action} ${labels[section]}: ${change.key}`, color);
+
+      if (verbose) {
+        for (const changedPath of change.paths) {
+          log(`    ✏️  Modified: ${changedPath}`, 'blue');
+        }
+      }
+    }
+  }
+
+  log('\n' + '='.repeat(60) + '\n', 'cyan');
+}
@@ -0,0 +1,86 @@
+/**
+ * Ledger of applied migrations
+ *
+ * Every attempt to apply a schema diff (migration, plan or rollback), an
+ * access migration or a config migration is appended to
+ * schema-snapshots/migration-ledger.jsonl, one JSON entry per line so the
+ * file merges cleanly in git:
+ *
+ *   {
+ *     "timestamp": "2025-10-19T22:29:47.520Z",
+ *     "kind": "migration" | "plan" | "rollback" | "access" | "config",
+ *     "source": "local", "target": "production",
+ *     "diffHash": "...", "sourceSnapshotHash": "...", "targetSnapshotHash": "...",
+ *     "operator": "nick@laptop",
+ *     "outcome": "applied" | "failed" | "blocked",
+ *     "error": null
+ *   }
+ *
+ * Hashes are content hashes (see hash.js) of the diff, the snapshot the diff
+ * brings the target to, and the target snapshot the diff was computed
+ * against: the schema for schema entries, the normalized roles and policies
+ * (access.js) or flows, dashboards and presets (config.js) for the others.
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { SNAPSHOT_DIR } from './snapshots.js';
+
+export const LEDGER_PATH = path.join(SNAPSHOT_DIR, 'migration-ledger.jsonl');
+
+export function readLedger(filePath = LEDGER_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+export function recordMigration(entry, filePath = LEDGER_PATH) {
+  const record = { timestamp: new Date().toISOString(), error: null, ...entry };
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+  return record;
+}
+
+/**
+ * Who is applying the migration: MIGRATION_OPERATOR, or user@host
+ */
+export function currentOperator() {
+  return process.env.MIGRATION_OPERATOR || `${os.userInfo().username}@${os.hostname()}`;
+}
+
+/**
+ * Decide whether a diff may be applied. Returns the reason it is blocked, or
+ * null when it may proceed.
+ *
+ * A diff is blocked when the target schema no longer matches the schema the
+ * diff was computed against, or when the ledger shows the same diff already
+ * applied to the same target schema and the target has not been rolled back
+ * since.
+ */
+export function checkApplicable(entry, currentTargetHash, entries = readLedger()) {
+  if (currentTargetHash !== entry.targetSnapshotHash) {
+    return `${entry.target} schema has changed since this diff was computed (expected ${entry.targetSnapshotHash.slice(0, 12)}, found ${currentTargetHash.slice(0, 12)})`;
+  }
+
+  const index = entries.findLastIndex(previous =>
+    previous.outcome === 'applied' &&
+    previous.target === entry.target &&
+    previous.diffHash === entry.diffHash &&
+    previous.targetSnapshotHash === entry.targetSnapshotHash
+  );
+  const rolledBack = entries.slice(index + 1).some(later =>
+    later.kind === 'rollback' && later.outcome === 'applied' && later.target === entry.target
+  );
+  const applied = entries[index];
+  if (applied && !rolledBack) {
+    return `this diff was already applied to ${entry.target} by ${applied.operator} at ${applied.timestamp}`;
+  }
+
+  return null;
+}
@@ -0,0 +1,167 @@
+/**
+ * Schema lint rules over snapshots
+ *
+ * The lint config (scripts/schema-lint.json by default) sets the level of each
+ * rule to "error", "warn" or "off", plus rule options:
+ *
+ *   {
+ *     "ignore": ["ai_*"],
+ *     "rules": {
+ *       "require-status":     { "level": "warn", "exclude": ["definitions"] },
+ *       "unique-slug":        { "level": "error", "fields": ["slug"] },
+ *       "timestamp-style":    { "level": "warn", "style": "date_created" },
+ *       "relation-on-delete": { "level": "error" }
+ *     }
+ *   }
+ *
+ * `ignore` and `exclude` are globs on collection names (or `collection.field`
+ * where a rule looks at fields). System collections and singletons are never
+ * content collections. Rules left out of the config run at their default level.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './cli.js';
+import { matchesAny } from './glob.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_LINT_CONFIG_PATH = path.join(__dirname, '..', 'schema-lint.json');
+
+export const LINT_EXIT_CODES = { clean: 0, errors: 1, failure: 2 };
+
+const LEVELS = ['error', 'warn', 'off'];
+
+// Both fields of a timestamp style, created first
+export const TIMESTAMP_STYLES = {
+  date_created: ['date_created', 'date_updated'],
+  created_at: ['created_at', 'updated_at']
+};
+
+const isSystem = name => name.startsWith('directus_');
+
+function contentCollections(snapshot) {
+  return snapshot.collections.filter(item => item.schema && !isSystem(item.collection) && !item.meta?.singleton);
+}
+
+function userFields(snapshot) {
+  return snapshot.fields.filter(field => !isSystem(field.collection));
+}
+
+const RULES = {
+  'require-status': {
+    level: 'warn',
+    description: 'Content collections have a status field',
+    check(snapshot, { field = 'status' }) {
+      return contentCollections(snapshot)
+        .filter(({ collection }) => !snapshot.fields.some(item => item.collection === collection && item.field === field))
+        .map(({ collection }) => ({ target: collection, message: `has no ${field} field` }));
+    }
+  },
+
+  'unique-slug': {
+    level: 'error',
+    description: 'Slug fields are unique',
+    check(snapshot, { fields = ['slug'] }) {
+      return userFields(snapshot)
+        .filter(field => fields.includes(field.field) && field.schema && !field.schema.is_unique)
+        .map(field => ({ target: `${field.collection}.${field.field}`, message: 'is not marked unique' }));
+    }
+  },
+
+  'timestamp-style': {
+    level: 'warn',
+    description: 'Timestamps use one naming style',
+    check(snapshot, { style }) {
+      const byStyle = Object.fromEntries(Object.entries(TIMESTAMP_STYLES).map(([name, names]) => [
+        name,
+        userFields(snapshot).filter(field => names.includes(field.field))
+      ]));
+
+      // Without a configured style the most used one wins
+      const expected = style || Object.keys(byStyle).sort((a, b) => byStyle[b].length - byStyle[a].length)[0];
+      if (!TIMESTAMP_STYLES[expected]) {
+        throw new Error(`timestamp-style: style must be one of ${Object.keys(TIMESTAMP_STYLES).join(', ')}`);
+      }
+
+      return Object.entries(byStyle)
+        .filter(([name]) => name !== expected)
+        .flatMap(([name, fields]) => fields.map(field => ({
+          target: `${field.collection}.${field.field}`,
+          message: `uses the ${name} style; use ${TIMESTAMP_STYLES[expected][TIMESTAMP_STYLES[name].indexOf(field.field)]}`
+        })));
+    }
+  },
+
+  'relation-on-delete': {
+    level: 'error',
+    description: 'Foreign keys say what happens when the related item is deleted',
+    check(snapshot) {
+      return snapshot.relations
+        .filter(relation => !isSystem(relation.collection) && relation.schema)
+        .filter(relation => !relation.schema.on_delete || relation.schema.on_delete === 'NO ACTION')
+        .map(relation => ({
+          target: `${relation.collection}.${relation.field}`,
+          message: `→ ${relation.related_collection} has no on_delete rule (${relation.schema.on_delete || 'none'})`
+        }));
+    }
+  }
+};
+
+export const LINT_RULES = Object.fromEntries(Object.entries(RULES).map(([name, rule]) => [name, rule.description]));
+
+export function loadLintConfig(filePath = DEFAULT_LINT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Lint config not found: ${filePath}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  for (const [name, options] of Object.entries(config.rules || {})) {
+    if (!RULES[name]) {
+      throw new Error(`Unknown lint rule "${name}" (available: ${Object.keys(RULES).join(', ')})`);
+    }
+    if (options.level && !LEVELS.includes(options.level)) {
+      throw new Error(`Lint rule "${name}" level must be one of ${LEVELS.join(', ')}, got "${options.level}"`);
+    }
+  }
+
+  return { ignore: [], rules: {}, ...config };
+}
+
+/**
+ * Run every rule that is not off and list its violations, errors first
+ */
+export function lintSnapshot(snapshot, config = { ignore: [], rules: {} }) {
+  const violations = [];
+
+  for (const [name, rule] of Object.entries(RULES)) {
+    const options = config.rules?.[name] || {};
+    const level = options.level || rule.level;
+    if (level === 'off') continue;
+
+    const skip = [...(config.ignore || []), ...(options.exclude || [])];
+    for (const violation of rule.check(snapshot, options)) {
+      if (matchesAny(violation.target, skip) || matchesAny(violation.target.split('.')[0], skip)) continue;
+      violations.push({ rule: name, level, ...violation });
+    }
+  }
+
+  return violations.sort((a, b) =>
+    LEVELS.indexOf(a.level) - LEVELS.indexOf(b.level) || a.target.localeCompare(b.target));
+}
+
+export function countViolations(violations) {
+  return {
+    errors: violations.filter(item => item.level === 'error').length,
+    warnings: violations.filter(item => item.level === 'warn').length
+  };
+}
+
+export function displayViolations(violations) {
+  for (const { rule, level, target, message } of violations) {
+    log(`${level === 'error' ? '❌' : '⚠️ '} ${target} ${message} (${rule})`, level === 'error' ? 'red' : 'yellow');
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Holding the migration lock on a Directus instance
+ *
+ * See lock.js for the lock itself. Locks are rows of the `migration_locks`
+ * collection, keyed by a generation number: taking the lock inserts the row
+ * after the latest one, so of two runs that read the same free lock, the
+ * primary key lets only one insert its row. The collection is created by
+ * schema-plan.js or the first lock taken, and is listed in schema-ignore.json
+ * so migrations never diff or drop it. Writing rows does not change the
+ * schema, so plans stay applicable.
+ *
+ * A lock is renewed every third of its timeout and released when the script
+ * ends: on return, through releaseAndExit(), on Ctrl-C / SIGTERM and on a
+ * failure. If the process is killed outright, the lock expires after the
+ * timeout instead.
+ */
+
+import { readCollection, createCollection, readItems, createItem, updateItem, deleteItems } from '@directus/sdk';
+import { log } from './cli.js';
+import { LOCK_COLLECTION, DEFAULT_LOCK_TIMEOUT_MINUTES, createLock, renewLock, releaseLock, describeLock, decideLock } from './lock.js';
+
+// Rows kept as a history of past locks
+const KEEP_GENERATIONS = 20;
+
+const held = new Set();
+let handlersInstalled = false;
+
+/**
+ * Create the lock collection on the instance unless it exists
+ */
+export async function ensureLockCollection(client) {
+  try {
+    await client.request(readCollection(LOCK_COLLECTION));
+    return;
+  } catch {
+    // Not created yet
+  }
+
+  try {
+    await client.request(createCollection({
+      collection: LOCK_COLLECTION,
+      meta: { hidden: true, icon: 'lock', note: 'Held by the migration scripts while they write to this instance' },
+      schema: {},
+      fields: [
+        { field: 'generation', type: 'integer', meta: { readonly: true }, schema: { is_primary_key: true, has_auto_increment: false } },
+        { field: 'lock', type: 'json', meta: { interface: 'input-code', readonly: true }, schema: { is_nullable: true } }
+      ]
+    }));
+  } catch (error) {
+    // A concurrent run may have created it first
+    await client.request(readCollection(LOCK_COLLECTION)).catch(() => {
+      throw error;
+    });
+  }
+}
+
+/**
+ * The latest lock row, `{ generation, lock }`, or null when none was taken
+ */
+export async function readLock(client) {
+  const [latest] = await client.request(readItems(LOCK_COLLECTION, { sort: ['-generation'], limit: 1 }));
+  return latest || null;
+}
+
+const isNotUnique = error => error?.errors?.some(item => item.extensions?.code === 'RECORD_NOT_UNIQUE');
+
+async function release(handle) {
+  if (!held.delete(handle)) return;
+
+  const { client, target, generation, timer } = handle;
+  clearInterval(timer);
+
+  try {
+    // A lock broken since is superseded by a newer row, so marking ours is harmless
+    await client.request(updateItem(LOCK_COLLECTION, generation, { lock: releaseLock(handle.lock) }));
+    log(`🔓 Released the migration lock on ${target.name}`, 'blue');
+  } catch (error) {
+    log(`⚠️  Could not release the migration lock on ${target.name}: ${error.message}`, 'yellow');
+    log(`   It expires at ${handle.lock.expiresAt}, or run again with --break-lock`, 'yellow');
+  }
+}
+
+const releaseAll = () => Promise.all([...held].map(release));
+
+const onSignal = signal => {
+  log(`\n⚠️  ${signal} received`, 'yellow');
+  releaseAll().finally(() => process.exit(130));
+};
+
+function installHandlers() {
+  if (handlersInstalled) return;
+  handlersInstalled = true;
+
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+  process.on('beforeExit', releaseAll);
+}
+
+/**
+ * Take the migration lock on `target`. Throws when another run holds it or
+ * takes it first, unless `breakLock`. A dry run only reports a held lock and
+ * takes none. Returns a handle whose `release()` gives the lock back early.
+ */
+export async function acquireLock(client, target, { operation, breakLock = false, dryRun = false }) {
+  const timeoutMinutes = target.lockTimeout || DEFAULT_LOCK_TIMEOUT_MINUTES;
+
+  if (dryRun) {
+    const current = (await readLock(client).catch(() => null))?.lock;
+    if (current && decideLock(current) === 'blocked') {
+      log(`⚠️  ${target.name}: ${describeLock(current)} - applying now would be refused`, 'yellow');
+    }
+    return { release: async () => {} };
+  }
+
+  await ensureLockCollection(client);
+
+  const latest = await readLock(client);
+  const current = latest?.lock || null;
+  const decision = decideLock(current, { breakLock });
+  if (decision === 'blocked') {
+    throw new Error(`${target.name}: ${describeLock(current)} (expires ${current.expiresAt}). ` +
+      'Wait for it to finish, or pass --break-lock if that run is gone.');
+  }
+  if (decision === 'expired') {
+    log(`⚠️  Taking over an expired lock on ${target.name}: ${describeLock(current)}`, 'yellow');
+  }
+  if (decision === 'break') {
+    log(`⚠️  Breaking the lock on ${target.name}: ${describeLock(current)}`, 'red');
+  }
+
+  const generation = (latest?.generation || 0) + 1;
+  const lock = createLock({ operation, timeoutMinutes });
+  try {
+    await client.request(createItem(LOCK_COLLECTION, { generation, lock }));
+  } catch (error) {
+    if (!isNotUnique(error)) throw error;
+    const winner = await readLock(client);
+    throw new Error(`${target.name}: ${describeLock(winner.lock)} - it took the lock first`);
+  }
+
+  await client.request(deleteItems(LOCK_COLLECTION, { filter: { generation: { _lte: generation - KEEP_GENERATIONS } } }))
+    .catch(() => {});
+
+  const handle = { client, target, generation, lock, timer: null };
+  handle.timer = setInterval(() => {
+    handle.lock = renewLock(handle.lock, timeoutMinutes);
+    client.request(updateItem(LOCK_COLLECTION, generation, { lock: handle.lock })).catch(error =>
+      log(`⚠️  Could not renew the migration lock on ${target.name}: ${error.message}`, 'yellow'));
+  }, timeoutMinutes * 60 * 1000 / 3);
+  handle.timer.unref();
+
+  held.add(handle);
+  installHandlers();
+
+  log(`🔒 Locked ${target.name} for ${operation}`, 'blue');
+  return { release: () => release(handle) };
+}
+
+/**
+ * Release the locks held, if any, and exit. Scripts holding a lock exit
+ * through this rather than process.exit(), which would skip the release.
+ */
+export async function releaseAndExit(code) {
+  await releaseAll();
+  process.exit(code);
+}
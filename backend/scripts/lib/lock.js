@@ -0,0 +1,66 @@
+/**
+ * Advisory migration lock
+ *
+ * Scripts that write to a target (schema migrations, applies, rollbacks,
+ * content and file copies) hold a lock on it for as long as they run, so a
+ * second operator is told "migration in progress by X since T" instead of
+ * migrating at the same time. Each lock taken is a row of the target's
+ * `migration_locks` collection (see lock-api.js), holding:
+ *
+ *   {
+ *     "token": "9f0c...",
+ *     "holder": "ana@build-01",
+ *     "operation": "schema migration local → production",
+ *     "pid": 4242,
+ *     "acquiredAt": "2025-10-19T14:30:00.000Z",
+ *     "expiresAt": "2025-10-19T14:45:00.000Z"
+ *   }
+ *
+ * The holder renews `expiresAt` while it runs and sets `releasedAt` when it
+ * is done; a lock past `expiresAt` belongs to a run that died without
+ * releasing it and may be taken over.
+ */
+
+import { randomUUID } from 'crypto';
+import { currentOperator } from './ledger.js';
+
+export const LOCK_COLLECTION = 'migration_locks';
+
+export const DEFAULT_LOCK_TIMEOUT_MINUTES = 15;
+
+export function createLock({ operation, timeoutMinutes = DEFAULT_LOCK_TIMEOUT_MINUTES, now = new Date() }) {
+  return renewLock({
+    token: randomUUID(),
+    holder: currentOperator(),
+    operation,
+    pid: process.pid,
+    acquiredAt: now.toISOString()
+  }, timeoutMinutes, now);
+}
+
+export function renewLock(lock, timeoutMinutes = DEFAULT_LOCK_TIMEOUT_MINUTES, now = new Date()) {
+  return { ...lock, expiresAt: new Date(now.getTime() + timeoutMinutes * 60 * 1000).toISOString() };
+}
+
+export function releaseLock(lock, now = new Date()) {
+  return { ...lock, releasedAt: now.toISOString() };
+}
+
+export function isExpired(lock, now = new Date()) {
+  return new Date(lock.expiresAt) <= now;
+}
+
+export function describeLock(lock) {
+  return `${lock.operation || 'migration'} in progress by ${lock.holder} since ${lock.acquiredAt}`;
+}
+
+/**
+ * What acquiring a lock over `current` (the latest stored lock or null) does:
+ * `acquire` a free or released lock, `expired` takes over a dead run's lock, `break`
+ * takes over a live one (only with --break-lock) and `blocked` waits.
+ */
+export function decideLock(current, { breakLock = false, now = new Date() } = {}) {
+  if (!current || current.releasedAt) return 'acquire';
+  if (isExpired(current, now)) return 'expired';
+  return breakLock ? 'break' : 'blocked';
+}
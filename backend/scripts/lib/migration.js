@@ -0,0 +1,228 @@
+/**
+ * Snapshot, diff, review, confirmation and apply flow shared by the schema
+ * migration scripts
+ *
+ * Every diff goes through the same steps before it reaches `schemaApply`:
+ * summary, destructive-change policy, data at stake and a typed confirmation.
+ * Fields in the ignore file (see ignore.js) are left out of every step.
+ */
+
+import { schemaSnapshot, schemaDiff, schemaApply } from '@directus/sdk';
+import { log, askQuestion } from './cli.js';
+import { displayDiff, hasChanges, filterDiff, findMissingDependencies, analyzeDiff } from './schema-diff.js';
+import { saveSnapshot, saveDiff } from './snapshots.js';
+import { hashContent } from './hash.js';
+import { LEDGER_PATH, checkApplicable, currentOperator, recordMigration } from './ledger.js';
+import { checkPolicy } from './policy.js';
+import { analyzeImpact, displayImpact, summarizeImpact } from './impact.js';
+import { TYPES_DIR, writeTypes } from './types.js';
+import { checkCompatibility, displayCompatibility } from './compatibility.js';
+import { loadIgnoreRules, withoutIgnored, ignoreChanges, displayIgnored } from './ignore.js';
+
+/**
+ * Capture the schema snapshot of an instance, without ignored fields, and
+ * save it to schema-snapshots/
+ */
+export async function captureSnapshot(client, profile) {
+  log(`\n📸 Taking snapshot of ${profile.name} schema...`, 'cyan');
+
+  try {
+    const snapshot = withoutIgnored(await client.request(schemaSnapshot()), loadIgnoreRules());
+    log(`✅ ${profile.name} schema snapshot captured`, 'green');
+
+    const saved = saveSnapshot(profile.name, snapshot);
+    log(saved.duplicate
+      ? `📁 Schema unchanged since ${saved.file}, not saved again`
+      : `📁 Snapshot saved to: ${saved.path}`, 'blue');
+
+    return snapshot;
+  } catch (error) {
+    log(`❌ Failed to capture ${profile.name} snapshot: ${error.message}`, 'red');
+    throw error;
+  }
+}
+
+/**
+ * Pre-flight check of the snapshot format, Directus version and database of
+ * both schemas. Throws when they cannot be migrated between; otherwise
+ * returns whether generateDiff has to force the diff.
+ */
+export function checkVersions(sourceSnapshot, targetSnapshot, source, target) {
+  const result = checkCompatibility(sourceSnapshot, targetSnapshot);
+  displayCompatibility(result, { source: source.name, target: target.name });
+
+  if (!result.compatible) {
+    throw new Error(`Refusing to diff: ${source.name} and ${target.name} run incompatible versions (see above)`);
+  }
+
+  return { force: result.force };
+}
+
+/**
+ * Ask the target instance for the diff that brings it to `snapshot`, less
+ * changes to ignored fields. Returns null when the target already matches.
+ * `force` diffs across Directus versions (see checkVersions).
+ */
+export async function generateDiff(client, snapshot, target, { force = false } = {}) {
+  log('\n🔍 Generating schema diff...', 'cyan');
+
+  try {
+    const rules = loadIgnoreRules();
+    const { diff, ignored } = ignoreChanges(await client.request(schemaDiff(withoutIgnored(snapshot, rules), force)), rules);
+    log('✅ Schema diff generated', 'green');
+    displayIgnored(ignored);
+
+    if (!hasChanges(diff)) {
+      log(`\n✨ No schema changes detected! ${target.name} is already up to date.`, 'green');
+      return null;
+    }
+
+    const saved = saveDiff(diff, target.name);
+    log(saved.duplicate
+      ? `📁 Same diff as ${saved.file}, not saved again`
+      : `📁 Diff saved to: ${saved.path}`, 'blue');
+
+    return diff;
+  } catch (error) {
+    log(`❌ Failed to generate diff: ${error.message}`, 'red');
+    throw error;
+  }
+}
+
+/**
+ * Apply the --only / --exclude selection to a diff. Returns null when no
+ * changes are left.
+ */
+export function selectChanges(diff, { only = [], exclude = [] } = {}) {
+  if (only.length === 0 && exclude.length === 0) {
+    return diff;
+  }
+
+  const filtered = filterDiff(diff, { only, exclude });
+  const selected = analyzeDiff(filtered).stats.total;
+  log(`\n🔎 Selected ${selected} of ${analyzeDiff(diff).stats.total} changes` +
+    `${only.length ? ` (only: ${only.join(', ')})` : ''}${exclude.length ? ` (exclude: ${exclude.join(', ')})` : ''}`, 'cyan');
+
+  for (const warning of findMissingDependencies(filtered, diff)) {
+    log(`⚠️  ${warning}`, 'yellow');
+  }
+
+  if (!hasChanges(filtered)) {
+    log('\n✨ No schema changes match the selection.', 'green');
+    return null;
+  }
+
+  return filtered;
+}
+
+/**
+ * Print the diff summary, enforce the policy and count the data at stake.
+ * Returns null when the policy blocks the diff.
+ */
+export async function reviewDiff(client, diff, { policyPath, verbose = false } = {}) {
+  displayDiff(diff, { verbose });
+
+  if (!checkPolicy(diff, policyPath)) {
+    return null;
+  }
+
+  const impacts = await analyzeImpact(client, diff);
+  displayImpact(impacts);
+
+  return { impacts, impact: summarizeImpact(impacts) };
+}
+
+/**
+ * Ask the operator to type "yes" before changes are applied. Schema diffs pass
+ * their review to also report the data at stake; other writes leave it out.
+ */
+export async function confirmApply(target, review = {}) {
+  log('⚠️  IMPORTANT SAFETY CHECKS:', 'yellow');
+  log(`   1. Have you backed up your ${target.name} database?`, 'yellow');
+  log('   2. Have you reviewed all changes above?', 'yellow');
+  log('   3. Are you sure you want to proceed?\n', 'yellow');
+
+  const { impact } = review;
+  if (impact?.affected > 0) {
+    log(`⚠️  ${impact.affected} existing rows/values on ${target.name} will be dropped or converted (see DATA AT STAKE above)`, 'red');
+  }
+  if (impact?.unknown > 0) {
+    log(`⚠️  The data affected by ${impact.unknown} change(s) could not be counted`, 'yellow');
+  }
+
+  const answer = await askQuestion(`Apply these changes to ${target.name}? (yes/no): `);
+  return answer.toLowerCase() === 'yes';
+}
+
+/**
+ * Apply a reviewed diff and record the attempt in the migration ledger. The
+ * diff is saved as applied, so snapshot pruning keeps the file the ledger
+ * entry's `diffHash` refers to.
+ *
+ * The target is snapshotted again right before applying; if its schema no
+ * longer hashes to `targetSnapshotHash` (the schema the diff was computed
+ * against), or the ledger shows this diff already applied, nothing is applied.
+ */
+export async function applyDiff(client, reviewed, target, { kind = 'migration', source, sourceSnapshotHash, targetSnapshotHash }) {
+  // Plans written before a field was ignored must not change it either
+  const rules = loadIgnoreRules();
+  const { diff, ignored } = ignoreChanges(reviewed, rules);
+  displayIgnored(ignored);
+
+  const entry = {
+    kind,
+    source: source.name,
+    target: target.name,
+    diffHash: hashContent(diff),
+    sourceSnapshotHash,
+    targetSnapshotHash,
+    operator: currentOperator()
+  };
+
+  const currentSnapshot = withoutIgnored(await client.request(schemaSnapshot()), rules);
+  const blocked = checkApplicable(entry, hashContent(currentSnapshot));
+  if (blocked) {
+    recordMigration({ ...entry, outcome: 'blocked', error: blocked });
+    throw new Error(`Refusing to apply: ${blocked}`);
+  }
+
+  // generateDiff saved the diff before --only / --exclude; the ledger refers to this one
+  const saved = saveDiff(diff, target.name);
+  if (!saved.duplicate) {
+    log(`📁 Selected diff saved to: ${saved.path}`, 'blue');
+  }
+
+  log(`\n🚀 Applying schema changes to ${target.name}...`, 'cyan');
+
+  try {
+    await client.request(schemaApply(diff));
+    recordMigration({ ...entry, outcome: 'applied' });
+    log('✅ Schema changes applied successfully!', 'green');
+  } catch (error) {
+    recordMigration({ ...entry, outcome: 'failed', error: error.message });
+    log(`❌ Failed to apply schema changes: ${error.message}`, 'red');
+    log(`\n${target.name} schema was NOT modified.`, 'yellow');
+    throw error;
+  }
+
+  log(`📒 Recorded in ${LEDGER_PATH}`, 'blue');
+
+  await refreshTypes(client, target);
+}
+
+/**
+ * Regenerate the TypeScript types and JSON Schemas from the target's new
+ * schema when its profile has `"types": true`. The schema is already applied
+ * by then, so a failure here only warns.
+ */
+export async function refreshTypes(client, target) {
+  if (!target.types) return;
+
+  try {
+    const files = writeTypes(await client.request(schemaSnapshot()), TYPES_DIR, { source: `the ${target.name} schema` });
+    log(`🧩 Types regenerated from ${target.name}: ${files[0]} and ${files.length - 1} JSON Schemas`, 'blue');
+  } catch (error) {
+    log(`⚠️  Could not regenerate types: ${error.message}`, 'yellow');
+    log(`   Run: node scripts/generate-types.js --from ${target.name}`, 'yellow');
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * OpenAPI documents for the public content API
+ *
+ * Built from a schema snapshot and a normalized access snapshot (access.js):
+ * every collection the public role can read gets its `/items` endpoints,
+ * limited to the fields and rows the public permissions allow, with the
+ * Directus query parameters, per-field filters and an example response.
+ *
+ * Item schemas come from types.js. The document is OpenAPI 3.1, whose schemas
+ * are JSON Schema, and is generated with sorted collections and fields so a
+ * change to the contract shows up as a readable diff. `x-contract-hash`
+ * changes exactly when the public contract does.
+ */
+
+import { hashContent } from './hash.js';
+import { PUBLIC_ROLE } from './access.js';
+import { describeTypes, renderJsonSchema, typeName } from './types.js';
+
+const FILTER_OPERATORS = {
+  _eq: 'Equal to',
+  _neq: 'Not equal to',
+  _in: 'One of (comma-separated)',
+  _nin: 'None of (comma-separated)',
+  _null: 'Is null (true) or not null (false)',
+  _nnull: 'Is not null (true)',
+  _contains: 'Contains the text',
+  _icontains: 'Contains the text, case-insensitive',
+  _starts_with: 'Starts with the text',
+  _ends_with: 'Ends with the text',
+  _gt: 'Greater than',
+  _gte: 'Greater than or equal to',
+  _lt: 'Less than',
+  _lte: 'Less than or equal to'
+};
+
+/**
+ * What the public role may read, by collection: `fields` (null for all) and
+ * the row `filter` its permissions apply. Several public policies add up.
+ */
+export function publicReadAccess(access) {
+  const publicPolicies = new Set(access.policies
+    .filter(policy => policy.roles.includes(PUBLIC_ROLE))
+    .map(policy => policy.name));
+  const readable = new Map();
+
+  for (const permission of access.permissions) {
+    if (!publicPolicies.has(permission.policy) || permission.action !== 'read') continue;
+
+    const fields = !permission.fields || permission.fields.includes('*') ? null : permission.fields;
+    const filter = permission.permissions && Object.keys(permission.permissions).length > 0 ? permission.permissions : null;
+    const current = readable.get(permission.collection);
+    readable.set(permission.collection, current
+      ? {
+          fields: current.fields && fields ? [...new Set([...current.fields, ...fields])].sort() : null,
+          // Rows either policy allows are readable
+          filter: current.filter && filter ? { _or: [current.filter, filter] } : null
+        }
+      : { fields, filter });
+  }
+
+  return readable;
+}
+
+function exampleValue(name, schema, filter) {
+  const required = filter?.[name]?._eq;
+  if (required !== undefined) return required;
+
+  const type = [].concat(schema.type || [])[0];
+  if (schema.format === 'uuid') return '3fa85f64-5717-4562-b3fc-2c963f66afa6';
+  if (schema.format === 'date-time') return '2025-10-19T14:30:00.000Z';
+  if (schema.format === 'date') return '2025-10-19';
+  if (schema.format === 'time') return '14:30:00';
+  if (type === 'integer') return 1;
+  if (type === 'number') return 1.5;
+  if (type === 'boolean') return true;
+  if (type === 'array') return [];
+  if (type === 'string') return name === 'slug' ? 'example-slug' : `Example ${name}`;
+  return null;
+}
+
+function exampleItem(schema, filter) {
+  return Object.fromEntries(Object.entries(schema.properties).map(([name, property]) => [
+    name,
+    exampleValue(name, property, filter)
+  ]));
+}
+
+function fieldsParameter(fields) {
+  return {
+    name: 'fields',
+    in: 'query',
+    description: `Fields to return, comma-separated; relations can be expanded with \`relation.*\`. Available: ${fields.join(', ')}`,
+    schema: { type: 'string', example: '*' }
+  };
+}
+
+function queryParameters(collection, fields) {
+  return [
+    fieldsParameter(fields),
+    {
+      name: 'filter',
+      in: 'query',
+      description: 'Only return items matching the filter, e.g. `filter[slug][_eq]=example-slug`',
+      style: 'deepObject',
+      explode: true,
+      schema: { $ref: `#/components/schemas/${typeName(collection)}Filter` }
+    },
+    { name: 'search', in: 'query', description: 'Search the text fields', schema: { type: 'string' } },
+    { name: 'sort', in: 'query', description: 'Fields to sort by, comma-separated; prefix with `-` for descending', schema: { type: 'string', example: fields.includes('sort') ? 'sort' : fields[0] } },
+    { name: 'limit', in: 'query', description: 'Maximum number of items (default 100, -1 for all)', schema: { type: 'integer' } },
+    { name: 'offset', in: 'query', description: 'Number of items to skip', schema: { type: 'integer' } },
+    { name: 'page', in: 'query', description: 'Page of `limit` items, starting at 1', schema: { type: 'integer' } },
+    { name: 'meta', in: 'query', description: '`total_count` and/or `filter_count` to include counts in `meta`', schema: { type: 'string' } }
+  ];
+}
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Errors' } } }
+});
+
+function describeRows(filter) {
+  return filter ? ` Only items matching \`${JSON.stringify(filter)}\` are returned.` : '';
+}
+
+function collectionPaths({ collection, singleton, note }, schema, { filter, primaryKey, keySchema }) {
+  const name = typeName(collection);
+  const item = { $ref: `#/components/schemas/${name}` };
+  const example = exampleItem(schema, filter);
+  const fields = Object.keys(schema.properties);
+  const summary = note ? ` ${note}` : '';
+
+  if (singleton) {
+    return {
+      [`/items/${collection}`]: {
+        get: {
+          operationId: `read${name}`,
+          tags: [collection],
+          summary: `Read ${collection}`,
+          description: `${collection} holds a single item.${summary}`,
+          parameters: [fieldsParameter(fields)],
+          responses: {
+            200: { description: `The ${collection} item`, content: { 'application/json': { schema: { type: 'object', properties: { data: item } }, example: { data: example } } } },
+            403: errorResponse('Not readable')
+          }
+        }
+      }
+    };
+  }
+
+  return {
+    [`/items/${collection}`]: {
+      get: {
+        operationId: `list${name}`,
+        tags: [collection],
+        summary: `List ${collection}`,
+        description: `${collection} items.${summary}${describeRows(filter)}`,
+        parameters: queryParameters(collection, fields),
+        responses: {
+          200: {
+            description: `A page of ${collection}`,
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { data: { type: 'array', items: item }, meta: { $ref: '#/components/schemas/Meta' } } },
+                example: { data: [example] }
+              }
+            }
+          },
+          400: errorResponse('Invalid query'),
+          403: errorResponse('Not readable')
+        }
+      }
+    },
+    [`/items/${collection}/{id}`]: {
+      get: {
+        operationId: `read${name}`,
+        tags: [collection],
+        summary: `Read one ${collection} item`,
+        description: `A ${collection} item by ${primaryKey}.${describeRows(filter)}`,
+        parameters: [
+          { name: 'id', in: 'path', required: true, description: `The item's ${primaryKey}`, schema: keySchema },
+          fieldsParameter(fields)
+        ],
+        responses: {
+          200: { description: `The ${collection} item`, content: { 'application/json': { schema: { type: 'object', properties: { data: item } }, example: { data: example } } } },
+          403: errorResponse('Not readable, or no such item')
+        }
+      }
+    }
+  };
+}
+
+function filterSchema(schema) {
+  return {
+    type: 'object',
+    description: 'Field filters; combine with `_and` / `_or`',
+    properties: Object.fromEntries(Object.keys(schema.properties).map(field => [field, { $ref: '#/components/schemas/FieldFilter' }]))
+  };
+}
+
+/**
+ * The OpenAPI document for what the public role can read. `collections`
+ * limits it further; `version` and `serverUrl` go into `info` and `servers`.
+ */
+export function createOpenApi(snapshot, access, { title = 'UDO Content API', version = '1.0.0', serverUrl, collections = [] } = {}) {
+  const readable = publicReadAccess(access);
+  const types = describeTypes(snapshot, collection =>
+    readable.has(collection) && (collections.length === 0 || collections.includes(collection)));
+
+  const paths = {};
+  const schemas = {};
+
+  for (const type of types) {
+    const { fields, filter } = readable.get(type.collection);
+    const visible = { ...type, fields: type.fields.filter(field => !fields || fields.includes(field.field)) };
+    const { $schema, $id, ...schema } = renderJsonSchema(visible);
+
+    // The key addresses items even when the public role cannot read it
+    const primaryKey = snapshot.fields.find(field => field.collection === type.collection && field.schema?.is_primary_key)?.field || 'id';
+    const { type: keyType, format } = renderJsonSchema({ ...type, fields: type.fields.filter(field => field.field === primaryKey) })
+      .properties[primaryKey] || { type: 'string' };
+
+    schemas[typeName(type.collection)] = schema;
+    schemas[`${typeName(type.collection)}Filter`] = filterSchema(schema);
+    Object.assign(paths, collectionPaths(type, schema, {
+      filter,
+      primaryKey,
+      keySchema: { type: [].concat(keyType)[0], ...(format ? { format } : {}) }
+    }));
+  }
+
+  schemas.FieldFilter = {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(FILTER_OPERATORS).map(([operator, description]) => [operator, { description }]))
+  };
+  schemas.Meta = {
+    type: 'object',
+    properties: { total_count: { type: 'integer' }, filter_count: { type: 'integer' } }
+  };
+  schemas.Errors = {
+    type: 'object',
+    properties: {
+      errors: {
+        type: 'array',
+        items: { type: 'object', properties: { message: { type: 'string' }, extensions: { type: 'object', properties: { code: { type: 'string' } } } } }
+      }
+    }
+  };
+
+  const contract = { paths, schemas };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title,
+      version,
+      description: `Read-only access to the public UDO content. Generated from the ${snapshot.directus ? `Directus ${snapshot.directus} ` : ''}schema and the public role's permissions.`,
+      'x-contract-hash': hashContent(contract)
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    tags: types.map(type => ({ name: type.collection, ...(type.note ? { description: type.note } : {}) })),
+    paths,
+    components: { schemas }
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Reviewed schema migration plans
+ *
+ * A plan is the output of `schema-plan.js`: the diff the target returned, plus
+ * content hashes of the target schema it was computed against and of the diff
+ * itself. `schema-apply.js` applies a plan only if the target still hashes to
+ * `targetSnapshotHash` and the diff still hashes to `diffHash`, so what gets
+ * applied is exactly what was reviewed.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { hashContent } from './hash.js';
+import { analyzeDiff } from './schema-diff.js';
+import { currentOperator } from './ledger.js';
+import { SNAPSHOT_DIR } from './snapshots.js';
+
+export const PLAN_VERSION = 1;
+
+export function createPlan({ source, target, sourceSnapshot, targetSnapshot, diff, filters = { only: [], exclude: [] } }) {
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    operator: currentOperator(),
+    source: source.name,
+    target: target.name,
+    targetUrl: target.url,
+    directus: targetSnapshot.directus,
+    sourceSnapshotHash: hashContent(sourceSnapshot),
+    targetSnapshotHash: hashContent(targetSnapshot),
+    diffHash: hashContent(diff),
+    filters,
+    summary: analyzeDiff(diff).stats,
+    diff
+  };
+}
+
+export function savePlan(plan, outputPath = path.join(SNAPSHOT_DIR, `plan-${Date.now()}.json`)) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(plan, null, 2));
+  return outputPath;
+}
+
+/**
+ * Load a plan file and verify that its diff has not been edited since it was written
+ */
+export function loadPlan(file) {
+  const candidates = [path.resolve(file), path.join(SNAPSHOT_DIR, file)];
+  const planPath = candidates.find(candidate => fs.existsSync(candidate));
+
+  if (!planPath) {
+    throw new Error(`Plan not found: ${file}`);
+  }
+
+  const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+
+  if (plan.version !== PLAN_VERSION || !plan.diff || !plan.targetSnapshotHash) {
+    throw new Error(`${planPath} is not a schema migration plan`);
+  }
+  if (hashContent(plan.diff) !== plan.diffHash) {
+    throw new Error(`${planPath} has been modified since it was planned (diff hash mismatch)`);
+  }
+
+  return { plan, planPath };
+}
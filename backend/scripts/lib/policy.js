@@ -0,0 +1,168 @@
+/**
+ * Destructive-change policy for schema migrations
+ *
+ * The policy file (scripts/migration-policy.json by default) decides which
+ * collection deletes, field deletes and field type changes a migration may
+ * apply. Rules are checked in order and the first match wins:
+ *
+ *   {
+ *     "default": "deny",
+ *     "rules": [
+ *       { "match": "articles.content", "allow": false, "reason": "Article body" },
+ *       { "match": "*.collab_*", "operations": ["delete"], "allow": true }
+ *     ]
+ *   }
+ *
+ * `match` is a glob on `collection` (collection deletes) or `collection.field`
+ * (field deletes and type changes). A deny rule on a field also protects its
+ * collection from being deleted. `operations` limits a rule to "delete" or
+ * "type-change"; without it the rule covers both.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from './cli.js';
+import { analyzeDiff } from './schema-diff.js';
+import { matchesGlob } from './glob.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'migration-policy.json');
+
+export function loadPolicy(filePath = DEFAULT_POLICY_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Migration policy not found: ${filePath}`);
+  }
+
+  const policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(policy.rules)) {
+    throw new Error(`Migration policy ${filePath} has no "rules" list`);
+  }
+  if (policy.default && !['allow', 'deny'].includes(policy.default)) {
+    throw new Error(`Migration policy default must be "allow" or "deny", got "${policy.default}"`);
+  }
+
+  return { default: 'deny', ...policy };
+}
+
+function isTypeChange(record) {
+  const path = (record.path || []).join('.');
+  return path === 'type' || path === 'schema.data_type';
+}
+
+/**
+ * List the collection deletes, field deletes and field type changes in a diff
+ */
+export function findDestructiveChanges(diff) {
+  const destructive = [];
+
+  for (const change of analyzeDiff(diff).changes) {
+    if (change.type === 'relation') continue;
+
+    if (change.action === 'delete') {
+      destructive.push({
+        operation: 'delete',
+        type: change.type,
+        name: change.name,
+        collection: change.collection,
+        field: change.field,
+        fieldType: change.entry.diff[0].lhs?.type
+      });
+    } else if (change.type === 'field' && change.action === 'update') {
+      const record = change.entry.diff.find(isTypeChange);
+      if (record) {
+        destructive.push({
+          operation: 'type-change',
+          type: 'field',
+          name: change.name,
+          collection: change.collection,
+          field: change.field,
+          from: record.lhs,
+          to: record.rhs
+        });
+      }
+    }
+  }
+
+  return destructive;
+}
+
+function ruleMatches(rule, change) {
+  if (rule.operations && !rule.operations.includes(change.operation)) {
+    return false;
+  }
+
+  if (matchesGlob(change.name, rule.match)) {
+    return true;
+  }
+
+  // Protecting a field also protects the collection that holds it
+  if (change.type === 'collection' && rule.allow === false && rule.match.includes('.')) {
+    return matchesGlob(change.collection, rule.match.split('.')[0]);
+  }
+
+  return false;
+}
+
+/**
+ * Check every destructive change in a diff against the policy
+ */
+export function evaluatePolicy(diff, policy) {
+  const allowed = [];
+  const violations = [];
+
+  for (const change of findDestructiveChanges(diff)) {
+    const rule = policy.rules.find(candidate => ruleMatches(candidate, change));
+    const allow = rule ? rule.allow === true : policy.default === 'allow';
+    const decision = { ...change, rule: rule || null, reason: rule?.reason || `default: ${policy.default}` };
+
+    (allow ? allowed : violations).push(decision);
+  }
+
+  return { allowed, violations };
+}
+
+function describe(change) {
+  if (change.operation === 'type-change') {
+    return `change type of field ${change.name} (${change.from} → ${change.to})`;
+  }
+  return `delete ${change.type} ${change.name}`;
+}
+
+export function displayPolicyReport({ allowed, violations }) {
+  if (allowed.length === 0 && violations.length === 0) {
+    return;
+  }
+
+  log('\n' + '-'.repeat(60), 'cyan');
+  log('DESTRUCTIVE CHANGE POLICY', 'cyan');
+  log('-'.repeat(60), 'cyan');
+
+  for (const change of allowed) {
+    log(`  ✅ allowed: ${describe(change)} (${change.reason})`, 'green');
+  }
+  for (const change of violations) {
+    log(`  🛑 blocked: ${describe(change)} (${change.reason})`, 'red');
+  }
+
+  log('');
+}
+
+/**
+ * Evaluate and print the policy for a diff. Returns false when the diff must
+ * not be applied; callers stop regardless of --force.
+ */
+export function checkPolicy(diff, policyPath = DEFAULT_POLICY_PATH) {
+  const result = evaluatePolicy(diff, loadPolicy(policyPath));
+  displayPolicyReport(result);
+
+  if (result.violations.length > 0) {
+    log(`🛑 Blocked by migration policy: ${result.violations.length} destructive change(s) are not allowed`, 'red');
+    log(`   Add an allow rule to ${policyPath} if they are intended (--force does not override the policy)\n`, 'yellow');
+    return false;
+  }
+
+  return true;
+}
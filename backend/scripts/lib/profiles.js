@@ -0,0 +1,127 @@
+/**
+ * Named environment profiles for the migration and copy scripts
+ *
+ * Profiles are defined in scripts/migration-profiles.json (or the file named by
+ * MIGRATION_PROFILES). Each profile has a URL and a credential source, so no
+ * script ever needs credentials written into its source:
+ *
+ *   env     - email/password read from the environment variables it names
+ *   token   - static access token read from the environment variable it names
+ *   prompt  - email/password asked for interactively (not available to
+ *             non-interactive scripts such as drift-check.js)
+ */
+
+import { createDirectus, authentication, rest, staticToken } from '@directus/sdk';
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { log, askQuestion, askSecret, getArgValue } from './cli.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_PROFILES_PATH = path.join(__dirname, '..', 'migration-profiles.json');
+
+export function loadProfiles(filePath = process.env.MIGRATION_PROFILES || DEFAULT_PROFILES_PATH) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Profile config not found: ${filePath}`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!config.profiles || typeof config.profiles !== 'object') {
+    throw new Error(`Profile config ${filePath} has no "profiles" section`);
+  }
+
+  return config.profiles;
+}
+
+export function resolveProfile(name, profiles = loadProfiles()) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+
+  const url = profile.url || (profile.urlEnv && process.env[profile.urlEnv]);
+  if (!url) {
+    throw new Error(`Profile "${name}" has no URL. Set ${profile.urlEnv || '"url"'} to continue.`);
+  }
+
+  return {
+    ...profile,
+    name,
+    url: url.replace(/\/+$/, ''),
+    adminUrl: profile.adminUrl || url
+  };
+}
+
+/**
+ * Resolve the `--from <profile>` and `--to <profile>` options of a script
+ */
+export function parseProfileArgs(args, defaults = { from: 'local', to: 'production' }) {
+  const profiles = loadProfiles();
+  const result = {};
+
+  for (const key of Object.keys(defaults)) {
+    const name = getArgValue(args, `--${key}`, defaults[key]);
+    result[key] = resolveProfile(name, profiles);
+  }
+
+  return result;
+}
+
+function requireEnv(profile, variable) {
+  const value = variable && process.env[variable];
+  if (!value) {
+    throw new Error(`Profile "${profile.name}" reads its credentials from ${variable || 'an unnamed variable'}, which is not set`);
+  }
+  return value;
+}
+
+async function resolveCredentials(profile, interactive) {
+  const credentials = profile.credentials || {};
+
+  switch (credentials.source) {
+    case 'env':
+      return {
+        email: requireEnv(profile, credentials.emailEnv),
+        password: requireEnv(profile, credentials.passwordEnv)
+      };
+    case 'token':
+      return { token: requireEnv(profile, credentials.tokenEnv) };
+    case 'prompt': {
+      if (!interactive) {
+        throw new Error(`Profile "${profile.name}" prompts for credentials, which is not possible here. Use an env or token profile.`);
+      }
+      const email = credentials.email || await askQuestion(`Email for ${profile.name} (${profile.url}): `);
+      const password = await askSecret(`Password for ${email}: `);
+      return { email, password };
+    }
+    default:
+      throw new Error(`Profile "${profile.name}" has an unknown credential source: ${credentials.source}`);
+  }
+}
+
+/**
+ * Create an authenticated Directus client for a resolved profile
+ */
+export async function connectProfile(profile, { interactive = true } = {}) {
+  log(`📡 Connecting to ${profile.name.toUpperCase()} Directus (${profile.url})...`, 'cyan');
+
+  try {
+    const credentials = await resolveCredentials(profile, interactive);
+    let client;
+
+    if (credentials.token) {
+      client = createDirectus(profile.url).with(staticToken(credentials.token)).with(rest());
+    } else {
+      client = createDirectus(profile.url).with(rest()).with(authentication());
+      await client.login({ email: credentials.email, password: credentials.password });
+    }
+
+    log(`✅ Connected to ${profile.name}\n`, 'green');
+    return client;
+  } catch (error) {
+    log(`❌ Failed to connect to ${profile.name} Directus: ${error.message}`, 'red');
+    throw error;
+  }
+}
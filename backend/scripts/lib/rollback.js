@@ -0,0 +1,60 @@
+/**
+ * Reverse-operation analysis for schema rollbacks
+ *
+ * Rolling the schema back to a saved snapshot restores structure, not data.
+ * These helpers spell out which operations in a rollback diff cannot bring
+ * data back, so the operator knows when a database backup is needed instead.
+ */
+
+import { log } from './cli.js';
+import { analyzeDiff } from './schema-diff.js';
+import { findDestructiveChanges } from './policy.js';
+
+/**
+ * List the operations in a rollback diff whose data cannot be recovered
+ */
+export function findIrreversibleChanges(diff) {
+  const irreversible = [];
+
+  for (const change of analyzeDiff(diff).changes) {
+    if (change.action !== 'create' || change.type === 'relation') continue;
+    if (change.type === 'field' && change.entry.diff[0].rhs?.type === 'alias') continue;
+
+    irreversible.push({
+      name: change.name,
+      message: change.type === 'collection'
+        ? `collection ${change.name} is recreated empty - rows deleted since the snapshot are not restored`
+        : `field ${change.name} is recreated empty - values deleted since the snapshot are not restored`
+    });
+  }
+
+  for (const change of findDestructiveChanges(diff)) {
+    if (change.fieldType === 'alias') continue;
+
+    irreversible.push({
+      name: change.name,
+      message: change.operation === 'type-change'
+        ? `field ${change.name} is converted back (${change.from} → ${change.to}) - values may not survive the conversion`
+        : `${change.type} ${change.name} did not exist in the snapshot - its data is dropped, not archived`
+    });
+  }
+
+  return irreversible;
+}
+
+export function displayIrreversible(irreversible) {
+  log('\n' + '-'.repeat(60), 'cyan');
+  log('DATA THAT A ROLLBACK CANNOT RESTORE', 'cyan');
+  log('-'.repeat(60), 'cyan');
+
+  if (irreversible.length === 0) {
+    log('  ✅ Every operation in this rollback is structural only', 'green');
+  } else {
+    for (const item of irreversible) {
+      log(`  ⚠️  ${item.message}`, 'red');
+    }
+    log('\n  To recover data, restore a database backup instead (see MIGRATION-GUIDE.md)', 'yellow');
+  }
+
+  log('');
+}
@@ -0,0 +1,324 @@
+/**
+ * Directus schema diff helpers
+ *
+ * Works with the diff format returned by the Directus `schemaDiff` endpoint:
+ *
+ *   {
+ *     hash: '<hash of the current schema>',
+ *     diff: {
+ *       collections: [{ collection, diff: [...] }],
+ *       fields:      [{ collection, field, diff: [...] }],
+ *       relations:   [{ collection, field, related_collection, diff: [...] }]
+ *     }
+ *   }
+ *
+ * Each inner `diff` is a list of deep-diff records: `kind` is N (new),
+ * D (deleted), E (edited) or A (array change), with an optional `path`.
+ */
+
+import { log } from './cli.js';
+import { hashContent } from './hash.js';
+import { matchesGlob } from './glob.js';
+
+export const SECTIONS = ['collections', 'fields', 'relations'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function record(kind, path, values) {
+  return path.length > 0 ? { kind, path, ...values } : { kind, ...values };
+}
+
+/**
+ * Structural diff producing the same records as the deep-diff library
+ * Directus uses on the server
+ */
+export function deepDiff(lhs, rhs, path = [], changes = []) {
+  if (lhs === undefined && rhs === undefined) return changes;
+
+  if (lhs === undefined) {
+    changes.push(record('N', path, { rhs }));
+    return changes;
+  }
+
+  if (rhs === undefined) {
+    changes.push(record('D', path, { lhs }));
+    return changes;
+  }
+
+  const lhsType = typeOf(lhs);
+  const rhsType = typeOf(rhs);
+
+  if (lhsType !== rhsType) {
+    changes.push(record('E', path, { lhs, rhs }));
+  } else if (lhsType === 'array') {
+    const shared = Math.min(lhs.length, rhs.length);
+    for (let index = 0; index < shared; index++) {
+      deepDiff(lhs[index], rhs[index], [...path, index], changes);
+    }
+    for (let index = shared; index < lhs.length; index++) {
+      changes.push(record('A', path, { index, item: { kind: 'D', lhs: lhs[index] } }));
+    }
+    for (let index = shared; index < rhs.length; index++) {
+      changes.push(record('A', path, { index, item: { kind: 'N', rhs: rhs[index] } }));
+    }
+  } else if (lhsType === 'object') {
+    for (const key of Object.keys(lhs)) {
+      deepDiff(lhs[key], key in rhs ? rhs[key] : undefined, [...path, key], changes);
+    }
+    for (const key of Object.keys(rhs)) {
+      if (!(key in lhs)) {
+        changes.push(record('N', [...path, key], { rhs: rhs[key] }));
+      }
+    }
+  } else if (lhs !== rhs) {
+    changes.push(record('E', path, { lhs, rhs }));
+  }
+
+  return changes;
+}
+
+// Directus identifies a relation by its collection and field alone, so
+// retargeting one is an update; entries still name the related collection
+const KEYS = {
+  collections: ['collection'],
+  fields: ['collection', 'field'],
+  relations: ['collection', 'field']
+};
+
+const ENTRY_KEYS = {
+  ...KEYS,
+  relations: ['collection', 'field', 'related_collection']
+};
+
+function pick(item, keys) {
+  return Object.fromEntries(keys.map(key => [key, item[key]]));
+}
+
+function sameKey(a, b, keys) {
+  return keys.every(key => a[key] === b[key]);
+}
+
+function diffSection(currentItems = [], targetItems = [], keys, entryKeys) {
+  const entries = [];
+
+  for (const current of currentItems) {
+    const target = targetItems.find(item => sameKey(item, current, keys));
+    const diff = deepDiff(current, target);
+    if (diff.length > 0) {
+      entries.push({ ...pick(current, entryKeys), diff });
+    }
+  }
+
+  for (const target of targetItems) {
+    if (!currentItems.some(item => sameKey(item, target, keys))) {
+      entries.push({ ...pick(target, entryKeys), diff: deepDiff(undefined, target) });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Compute the changes needed to turn the `current` snapshot into `target`
+ * without contacting a Directus server.
+ *
+ * The returned `hash` is a content hash of `current`, not the hash Directus
+ * computes, so an offline diff can be reviewed but not passed to `schemaApply`.
+ */
+export function diffSnapshots(current, target) {
+  const diff = {};
+  for (const section of SECTIONS) {
+    diff[section] = diffSection(current[section], target[section], KEYS[section], ENTRY_KEYS[section]);
+  }
+
+  // Fields and relations of deleted collections are dropped along with the collection
+  const deletedCollections = diff.collections
+    .filter(entry => classifyEntry(entry) === 'delete')
+    .map(entry => entry.collection);
+  diff.fields = diff.fields.filter(entry => !deletedCollections.includes(entry.collection));
+  diff.relations = diff.relations.filter(entry => !deletedCollections.includes(entry.collection));
+
+  return { hash: hashContent(current), diff };
+}
+
+export function hasChanges(diff) {
+  return Boolean(diff && diff.diff && SECTIONS.some(section => diff.diff[section]?.length > 0));
+}
+
+function entryMatches(entry, pattern) {
+  if (!pattern.includes('.')) {
+    return matchesGlob(entry.collection, pattern);
+  }
+  return Boolean(entry.field) && matchesGlob(`${entry.collection}.${entry.field}`, pattern);
+}
+
+/**
+ * Narrow a diff to the collections and fields selected by `only` and not
+ * matched by `exclude`. Patterns are globs on `collection` (the collection and
+ * all its fields and relations) or `collection.field` (that field and its
+ * relation only). The result keeps the original hash, so it can be applied.
+ */
+export function filterDiff(diff, { only = [], exclude = [] } = {}) {
+  const keep = entry =>
+    (only.length === 0 || only.some(pattern => entryMatches(entry, pattern))) &&
+    !exclude.some(pattern => entryMatches(entry, pattern));
+
+  const filtered = {};
+  for (const section of SECTIONS) {
+    filtered[section] = (diff.diff[section] || []).filter(keep);
+  }
+
+  return { ...diff, diff: filtered };
+}
+
+/**
+ * List selected fields and relations that need a collection the filter left
+ * out of a diff that creates it
+ */
+export function findMissingDependencies(filtered, full) {
+  const created = new Set(
+    (full.diff.collections || [])
+      .filter(entry => classifyEntry(entry) === 'create')
+      .map(entry => entry.collection)
+  );
+  const kept = new Set((filtered.diff.collections || []).map(entry => entry.collection));
+  const missing = [];
+
+  for (const section of ['fields', 'relations']) {
+    for (const entry of filtered.diff[section] || []) {
+      for (const collection of [entry.collection, entry.related_collection]) {
+        if (collection && created.has(collection) && !kept.has(collection)) {
+          missing.push(`${entry.collection}.${entry.field} needs new collection ${collection}, which is filtered out`);
+        }
+      }
+    }
+  }
+
+  return [...new Set(missing)];
+}
+
+/**
+ * Classify one diff entry as a create, update or delete of the whole item
+ */
+export function classifyEntry(entry) {
+  const records = entry.diff || [];
+  if (records.length === 1 && !records[0].path) {
+    if (records[0].kind === 'N') return 'create';
+    if (records[0].kind === 'D') return 'delete';
+  }
+  return 'update';
+}
+
+/**
+ * Describe a single deep-diff record as `{ action, path }` for display
+ */
+export function describeRecord(record) {
+  const kind = record.kind === 'A' ? record.item.kind : record.kind;
+  const path = [...(record.path || []), ...(record.kind === 'A' ? [record.index] : [])];
+
+  return {
+    action: kind === 'N' ? 'create' : kind === 'D' ? 'delete' : 'update',
+    path: path.join('.')
+  };
+}
+
+const TYPES = {
+  collections: 'collection',
+  fields: 'field',
+  relations: 'relation'
+};
+
+export function analyzeDiff(diff) {
+  const stats = {
+    collections: { create: 0, update: 0, delete: 0 },
+    fields: { create: 0, update: 0, delete: 0 },
+    relations: { create: 0, update: 0, delete: 0 },
+    total: 0
+  };
+
+  const changes = [];
+
+  for (const section of SECTIONS) {
+    for (const entry of diff?.diff?.[section] || []) {
+      const action = classifyEntry(entry);
+      stats[section][action]++;
+      stats.total++;
+
+      changes.push({
+        type: TYPES[section],
+        action,
+        collection: entry.collection,
+        field: entry.field,
+        related_collection: entry.related_collection,
+        name: entry.field ? `${entry.collection}.${entry.field}` : entry.collection,
+        entry
+      });
+    }
+  }
+
+  return { stats, changes };
+}
+
+/**
+ * Print the migration summary for a diff. With `verbose`, every changed
+ * property path is listed under its collection, field or relation.
+ */
+export function displayDiff(diff, { verbose = false } = {}) {
+  const { stats, changes } = analyzeDiff(diff);
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('SCHEMA MIGRATION SUMMARY', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  log(`\nTotal changes: ${stats.total}`, 'yellow');
+
+  log('\nCollections:', 'yellow');
+  log(`  ➕ Create: ${stats.collections.create}`, 'green');
+  log(`  ✏️  Update: ${stats.collections.update}`, 'blue');
+  log(`  ❌ Delete: ${stats.collections.delete}`, 'red');
+
+  log('\nFields:', 'yellow');
+  log(`  ➕ Create: ${stats.fields.create}`, 'green');
+  log(`  ✏️  Update: ${stats.fields.update}`, 'blue');
+  log(`  ❌ Delete: ${stats.fields.delete}`, 'red');
+
+  log('\nRelations:', 'yellow');
+  log(`  ➕ Create: ${stats.relations.create}`, 'green');
+  log(`  ✏️  Update: ${stats.relations.update}`, 'blue');
+  log(`  ❌ Delete: ${stats.relations.delete}`, 'red');
+
+  log('\n' + '-'.repeat(60), 'cyan');
+  log('DETAILED CHANGES', 'cyan');
+  log('-'.repeat(60), 'cyan');
+
+  for (const change of changes) {
+    const icon = change.action === 'create' ? '➕' :
+                 change.action === 'update' ? '✏️' : '❌';
+    const color = change.action === 'create' ? 'green' :
+                  change.action === 'update' ? 'blue' : 'red';
+
+    log(`\n${icon} ${change.action} ${change.type}: ${change.name}`, color);
+
+    if (verbose && change.action === 'update') {
+      for (const record of change.entry.diff) {
+        const { action, path } = describeRecord(record);
+        const kind = action === 'create' ? '➕ New' : action === 'delete' ? '❌ Deleted' : '✏️  Modified';
+        log(`    ${kind}: ${path}`, action === 'create' ? 'green' : action === 'delete' ? 'red' : 'blue');
+      }
+    }
+  }
+
+  log('\n' + '='.repeat(60) + '\n', 'cyan');
+
+  // Warnings for destructive operations
+  if (stats.collections.delete > 0 || stats.fields.delete > 0) {
+    log('⚠️  WARNING: This migration includes DELETE operations!', 'red');
+    log('   Make sure you have a backup before proceeding.', 'yellow');
+  }
+
+  return { stats, changes };
+}
@@ -0,0 +1,143 @@
+/**
+ * Schema as code: a snapshot written as a directory tree
+ *
+ *   schema/
+ *   ├── schema.json                 version, Directus version and vendor
+ *   └── collections/
+ *       ├── articles.json           the collection, its fields and its relations
+ *       ├── directus_settings.json  fields added to system collections (no "collection")
+ *       └── ...
+ *
+ * Each collection file is { collection, fields, relations }, with fields and
+ * relations sorted by name and every object's keys sorted, so a schema change
+ * shows up as a small, readable diff in a pull request. Entries are written as
+ * the snapshot has them: nothing in a snapshot varies between environments.
+ * Directus leaves row ids out, constraint names are derived from the table and
+ * column, and `meta.sort` and `meta.group` are the field layout, so a change to
+ * them is a schema change to review.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schema');
+
+const COLLECTIONS_DIR = 'collections';
+const MANIFEST_FILE = 'schema.json';
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map(key => [key, sortKeys(value[key])])
+    );
+  }
+
+  return value;
+}
+
+function byName(a, b) {
+  return (a.field || '').localeCompare(b.field || '') ||
+    (a.related_collection || '').localeCompare(b.related_collection || '');
+}
+
+function toJson(value) {
+  return JSON.stringify(sortKeys(value), null, 2) + '\n';
+}
+
+/**
+ * Split a snapshot into one document per collection, keyed by collection name
+ */
+export function splitSnapshot(snapshot) {
+  const documents = new Map();
+  const documentFor = name => {
+    if (!documents.has(name)) {
+      documents.set(name, { fields: [], relations: [] });
+    }
+    return documents.get(name);
+  };
+
+  for (const collection of snapshot.collections) {
+    documentFor(collection.collection).collection = collection;
+  }
+  for (const field of snapshot.fields) {
+    documentFor(field.collection).fields.push(field);
+  }
+  for (const relation of snapshot.relations) {
+    documentFor(relation.collection).relations.push(relation);
+  }
+
+  for (const document of documents.values()) {
+    document.fields.sort(byName);
+    document.relations.sort(byName);
+  }
+
+  return new Map([...documents].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Write a snapshot to `dir`, replacing any previous export. Returns the files written.
+ */
+export function exportSchemaTree(snapshot, dir = SCHEMA_DIR) {
+  const collectionsDir = path.join(dir, COLLECTIONS_DIR);
+  fs.rmSync(collectionsDir, { recursive: true, force: true });
+  fs.mkdirSync(collectionsDir, { recursive: true });
+
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  fs.writeFileSync(manifestPath, toJson({
+    version: snapshot.version,
+    directus: snapshot.directus,
+    vendor: snapshot.vendor
+  }));
+
+  const written = [manifestPath];
+  for (const [name, document] of splitSnapshot(snapshot)) {
+    const filePath = path.join(collectionsDir, `${name}.json`);
+    fs.writeFileSync(filePath, toJson(document));
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+/**
+ * Rebuild a snapshot from a directory written by exportSchemaTree
+ */
+export function importSchemaTree(dir = SCHEMA_DIR) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${dir} is not a schema directory (no ${MANIFEST_FILE})`);
+  }
+
+  const snapshot = {
+    ...JSON.parse(fs.readFileSync(manifestPath, 'utf8')),
+    collections: [],
+    fields: [],
+    relations: []
+  };
+
+  const collectionsDir = path.join(dir, COLLECTIONS_DIR);
+  const files = fs.existsSync(collectionsDir)
+    ? fs.readdirSync(collectionsDir).filter(file => file.endsWith('.json')).sort()
+    : [];
+
+  for (const file of files) {
+    const document = JSON.parse(fs.readFileSync(path.join(collectionsDir, file), 'utf8'));
+    if (document.collection) {
+      snapshot.collections.push(document.collection);
+    }
+    snapshot.fields.push(...(document.fields || []));
+    snapshot.relations.push(...(document.relations || []));
+  }
+
+  return snapshot;
+}
@@ -0,0 +1,206 @@
+/**
+ * Reading and writing files in schema-snapshots/
+ *
+ * Snapshots are saved as `<profile>-<timestamp>.json` and diffs as
+ * `diff-<timestamp>.json`, the naming the migration scripts have always used.
+ *
+ * schema-snapshots/index.json records the metadata of every saved file:
+ *
+ *   { "file": "production-1760915387021.json", "kind": "snapshot", "source": "production",
+ *     "directus": "11.12.0", "vendor": "postgres", "hash": "...", "createdAt": "..." }
+ *
+ * A snapshot or diff whose content hash equals the latest one saved for the
+ * same source is not written again. Files saved before the index existed are
+ * added to it the next time it is read.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import { hashContent } from './hash.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SNAPSHOT_DIR = path.join(__dirname, '..', '..', 'schema-snapshots');
+
+/**
+ * Resolve a snapshot path against the current directory first, then schema-snapshots/
+ */
+export function resolveSnapshotPath(file) {
+  const candidates = [path.resolve(file), path.join(SNAPSHOT_DIR, file)];
+  const snapshotPath = candidates.find(candidate => fs.existsSync(candidate));
+
+  if (!snapshotPath) {
+    throw new Error(`Snapshot not found: ${file}`);
+  }
+
+  return snapshotPath;
+}
+
+export function loadSnapshotFile(file) {
+  const snapshotPath = resolveSnapshotPath(file);
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+
+  if (!Array.isArray(snapshot.collections) || !Array.isArray(snapshot.fields)) {
+    throw new Error(`${snapshotPath} is not a Directus schema snapshot`);
+  }
+
+  return { snapshot, snapshotPath };
+}
+
+export const INDEX_FILE = 'index.json';
+
+// <prefix>-<Date.now()>.json; plans share the naming but are not snapshots
+const FILE_PATTERN = /^(.+)-(\d{13})\.json$/;
+const OTHER_PREFIXES = ['plan'];
+
+function describeFile(dir, file) {
+  const match = file.match(FILE_PATTERN);
+  if (!match || OTHER_PREFIXES.includes(match[1])) {
+    return null;
+  }
+
+  const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  const kind = match[1] === 'diff' ? 'diff' : 'snapshot';
+
+  return {
+    file,
+    kind,
+    source: kind === 'diff' ? null : match[1],
+    directus: data.directus || null,
+    vendor: data.vendor || null,
+    hash: hashContent(data),
+    createdAt: new Date(Number(match[2])).toISOString()
+  };
+}
+
+function writeIndex(dir, entries) {
+  fs.writeFileSync(path.join(dir, INDEX_FILE), JSON.stringify(entries, null, 2) + '\n');
+}
+
+/**
+ * Read the index, dropping entries whose files are gone and adding files it
+ * does not list yet. Entries are ordered oldest first.
+ */
+export function readIndex(dir = SNAPSHOT_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const indexPath = path.join(dir, INDEX_FILE);
+  const indexed = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : [];
+  const known = new Map(indexed.map(entry => [entry.file, entry]));
+
+  const entries = fs.readdirSync(dir)
+    .map(file => known.get(file) || describeFile(dir, file))
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.file.localeCompare(b.file));
+
+  if (JSON.stringify(entries) !== JSON.stringify(indexed)) {
+    writeIndex(dir, entries);
+  }
+
+  return entries;
+}
+
+function writeJson(prefix, kind, source, data, dir) {
+  const entries = readIndex(dir);
+  const hash = hashContent(data);
+
+  const latest = entries.filter(entry => entry.kind === kind && entry.source === source).at(-1);
+  if (latest && latest.hash === hash) {
+    return { ...latest, path: path.join(dir, latest.file), duplicate: true };
+  }
+
+  const createdAt = Date.now();
+  const entry = {
+    file: `${prefix}-${createdAt}.json`,
+    kind,
+    source,
+    directus: data.directus || null,
+    vendor: data.vendor || null,
+    hash,
+    createdAt: new Date(createdAt).toISOString()
+  };
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, entry.file), JSON.stringify(data, null, 2));
+  writeIndex(dir, [...entries, entry]);
+
+  return { ...entry, path: path.join(dir, entry.file), duplicate: false };
+}
+
+/**
+ * Save a snapshot unless it matches the latest one saved for the profile.
+ * Returns its index entry, with `path` and `duplicate` set.
+ */
+export function saveSnapshot(profileName, snapshot, dir = SNAPSHOT_DIR) {
+  return writeJson(profileName, 'snapshot', profileName, snapshot, dir);
+}
+
+/**
+ * Save a diff computed by `targetName` unless it matches the latest one saved for it
+ */
+export function saveDiff(diff, targetName = null, dir = SNAPSHOT_DIR) {
+  return writeJson('diff', 'diff', targetName, diff, dir);
+}
+
+/**
+ * Decide which indexed files to keep. Per kind and source, the newest `keep`
+ * distinct snapshots are kept, as is anything whose hash an applied ledger
+ * entry refers to; older copies of identical content are always removed.
+ */
+export function selectPrunable(entries, { keep = 5, ledger = [] } = {}) {
+  const referenced = new Set(
+    ledger
+      .filter(entry => entry.outcome === 'applied')
+      .flatMap(entry => [entry.sourceSnapshotHash, entry.targetSnapshotHash, entry.diffHash])
+  );
+
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = `${entry.kind}:${entry.source}`;
+    groups.set(key, [...(groups.get(key) || []), entry]);
+  }
+
+  const kept = [];
+  const removed = [];
+
+  for (const group of groups.values()) {
+    const newestFirst = [...group].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const seen = new Map();
+
+    for (const entry of newestFirst) {
+      if (seen.has(entry.hash)) {
+        removed.push({ entry, reason: `same content as ${seen.get(entry.hash).file}` });
+      } else if (seen.size < keep) {
+        kept.push({ entry, reason: `one of the last ${keep}` });
+      } else if (referenced.has(entry.hash)) {
+        kept.push({ entry, reason: 'referenced by an applied migration' });
+      } else {
+        removed.push({ entry, reason: `older than the last ${keep}` });
+      }
+
+      if (!seen.has(entry.hash)) {
+        seen.set(entry.hash, entry);
+      }
+    }
+  }
+
+  return { kept, removed };
+}
+
+/**
+ * Delete the given index entries' files and drop them from the index
+ */
+export function removeSnapshots(entries, dir = SNAPSHOT_DIR) {
+  const files = entries.map(entry => entry.file);
+
+  for (const file of files) {
+    fs.rmSync(path.join(dir, file), { force: true });
+  }
+
+  // Reading the index drops the entries of deleted files
+  return readIndex(dir);
+}
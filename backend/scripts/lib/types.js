@@ -0,0 +1,240 @@
+/**
+ * TypeScript types and JSON Schemas generated from schema snapshots
+ *
+ *   types/
+ *   ├── schema.ts                  one interface per collection and the
+ *   │                              `Schema` for createDirectus<Schema>()
+ *   └── json-schema/
+ *       ├── articles.json          a JSON Schema per collection
+ *       └── ...
+ *
+ * Directus types map to what the API returns: uuid and timestamps are
+ * strings, json is `unknown`, bigInteger and decimal come back as strings.
+ * A many-to-one field is the related primary key or the related item (when
+ * expanded with `fields`), a one-to-many alias a list of either; other alias
+ * fields hold no data and are left out. Nullable columns add `| null`.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TYPES_DIR = path.join(__dirname, '..', '..', 'types');
+
+export const JSON_SCHEMA_DIR = 'json-schema';
+
+// Directus type → [TypeScript type, JSON Schema]
+const TYPE_MAP = {
+  string: ['string', { type: 'string' }],
+  text: ['string', { type: 'string' }],
+  hash: ['string', { type: 'string' }],
+  uuid: ['string', { type: 'string', format: 'uuid' }],
+  integer: ['number', { type: 'integer' }],
+  bigInteger: ['string', { type: 'string', pattern: '^-?\\d+$' }],
+  float: ['number', { type: 'number' }],
+  decimal: ['string', { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$' }],
+  boolean: ['boolean', { type: 'boolean' }],
+  timestamp: ['string', { type: 'string', format: 'date-time' }],
+  dateTime: ['string', { type: 'string', format: 'date-time' }],
+  date: ['string', { type: 'string', format: 'date' }],
+  time: ['string', { type: 'string', format: 'time' }],
+  csv: ['string[]', { type: 'array', items: { type: 'string' } }],
+  json: ['unknown', {}]
+};
+
+// System collections the SDK has types for
+const SYSTEM_TYPES = {
+  directus_files: 'DirectusFile',
+  directus_folders: 'DirectusFolder',
+  directus_roles: 'DirectusRole',
+  directus_users: 'DirectusUser'
+};
+
+const isSystem = name => name.startsWith('directus_');
+
+export function typeName(collection) {
+  return collection.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('');
+}
+
+function mapType(type) {
+  return TYPE_MAP[type] || (type.startsWith('geometry') ? ['unknown', { type: 'object' }] : ['unknown', {}]);
+}
+
+// Notes that are translation keys ("$t:...") say nothing outside the app
+const describe = note => note && !note.startsWith('$t:') ? note : null;
+
+// Snapshots leave out system fields; files, users, roles and folders have UUID keys
+function primaryKeyOf(snapshot, collection) {
+  const field = snapshot.fields.find(item => item.collection === collection && item.schema?.is_primary_key);
+  return field?.type || (isSystem(collection) ? 'uuid' : 'integer');
+}
+
+/**
+ * The fields of each user collection with how they relate, ready to be
+ * rendered as TypeScript or JSON Schema
+ */
+export function describeTypes(snapshot, filter = () => true) {
+  const collections = snapshot.collections
+    .filter(item => item.schema && !isSystem(item.collection) && filter(item.collection))
+    .map(item => item.collection)
+    .sort();
+  const included = new Set(collections);
+
+  return collections.map(collection => {
+    const fields = snapshot.fields
+      .filter(field => field.collection === collection)
+      .sort((a, b) => a.field.localeCompare(b.field))
+      .map(field => {
+        const m2o = snapshot.relations.find(item => item.collection === collection && item.field === field.field && item.related_collection);
+        const o2m = !field.schema && snapshot.relations.find(item => item.related_collection === collection && item.meta?.one_field === field.field);
+        if (!field.schema && !o2m) {
+          return null;
+        }
+
+        const related = m2o?.related_collection || o2m?.collection || null;
+        return {
+          field: field.field,
+          type: field.type,
+          note: describe(field.meta?.note),
+          nullable: field.schema ? field.schema.is_nullable !== false : false,
+          required: Boolean(field.schema) && field.schema.is_nullable === false &&
+            (field.schema.default_value ?? null) === null && !field.schema.is_primary_key,
+          relation: related && {
+            kind: m2o ? 'm2o' : 'o2m',
+            collection: related,
+            keyType: primaryKeyOf(snapshot, related),
+            // Collections outside the generated types are only referenced by key
+            typed: included.has(related) || Boolean(SYSTEM_TYPES[related])
+          }
+        };
+      })
+      .filter(Boolean);
+
+    const meta = snapshot.collections.find(item => item.collection === collection).meta;
+    return { collection, singleton: Boolean(meta?.singleton), note: describe(meta?.note), fields };
+  });
+}
+
+function tsRelated(relation) {
+  const key = mapType(relation.keyType)[0];
+  if (!relation.typed) return key;
+  const related = SYSTEM_TYPES[relation.collection] ? `${SYSTEM_TYPES[relation.collection]}<Schema>` : typeName(relation.collection);
+  return `${key} | ${related}`;
+}
+
+function tsType(field) {
+  let type;
+  if (field.relation?.kind === 'o2m') {
+    type = `Array<${tsRelated(field.relation)}>`;
+  } else if (field.relation) {
+    type = tsRelated(field.relation);
+  } else {
+    type = mapType(field.type)[0];
+  }
+  return field.nullable ? `${type} | null` : type;
+}
+
+const comment = (text, indent) => `${indent}/** ${text.replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */`;
+
+const propertyName = name => /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+
+/**
+ * schema.ts for the given collections. `source` names the snapshot in the
+ * file header.
+ */
+export function renderTypeScript(types, { source } = {}) {
+  const systemTypes = [...new Set(types.flatMap(item => item.fields)
+    .map(field => field.relation && SYSTEM_TYPES[field.relation.collection])
+    .filter(Boolean))].sort();
+
+  const lines = [
+    '/**',
+    ` * Generated by scripts/generate-types.js${source ? ` from ${source}` : ''} - do not edit.`,
+    ' */',
+    ''
+  ];
+  if (systemTypes.length > 0) {
+    lines.push(`import type { ${systemTypes.join(', ')} } from '@directus/sdk';`, '');
+  }
+
+  for (const { collection, note, fields } of types) {
+    if (note) lines.push(comment(note, ''));
+    lines.push(`export interface ${typeName(collection)} {`);
+    for (const field of fields) {
+      if (field.note) lines.push(comment(field.note, '  '));
+      lines.push(`  ${propertyName(field.field)}: ${tsType(field)};`);
+    }
+    lines.push('}', '');
+  }
+
+  lines.push('export interface Schema {');
+  for (const { collection, singleton } of types) {
+    lines.push(`  ${propertyName(collection)}: ${typeName(collection)}${singleton ? '' : '[]'};`);
+  }
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
+
+function jsonType(field) {
+  let schema;
+  if (field.relation?.kind === 'o2m') {
+    schema = { type: 'array', items: mapType(field.relation.keyType)[1] };
+  } else if (field.relation) {
+    schema = { ...mapType(field.relation.keyType)[1] };
+  } else {
+    schema = { ...mapType(field.type)[1] };
+  }
+
+  if (field.nullable) {
+    schema = schema.type ? { ...schema, type: [schema.type, 'null'] } : schema;
+  }
+  if (field.relation) {
+    schema.description = `${field.relation.kind === 'o2m' ? 'Keys of' : 'Key of'} ${field.relation.collection}${field.note ? `. ${field.note}` : ''}`;
+  } else if (field.note) {
+    schema.description = field.note;
+  }
+  return schema;
+}
+
+/**
+ * A JSON Schema for the items of one collection, relations given as keys
+ */
+export function renderJsonSchema({ collection, note, fields }) {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `${collection}.json`,
+    title: collection,
+    ...(note ? { description: note } : {}),
+    type: 'object',
+    properties: Object.fromEntries(fields.map(field => [field.field, jsonType(field)])),
+    required: fields.filter(field => field.required).map(field => field.field),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Write schema.ts and one JSON Schema per collection to `dir`, replacing
+ * schemas of collections that no longer exist. Returns the files written.
+ */
+export function writeTypes(snapshot, dir = TYPES_DIR, { source, filter } = {}) {
+  const types = describeTypes(snapshot, filter);
+  const schemaDir = path.join(dir, JSON_SCHEMA_DIR);
+
+  fs.rmSync(schemaDir, { recursive: true, force: true });
+  fs.mkdirSync(schemaDir, { recursive: true });
+
+  const files = [path.join(dir, 'schema.ts')];
+  fs.writeFileSync(files[0], renderTypeScript(types, { source }));
+
+  for (const type of types) {
+    const file = path.join(schemaDir, `${type.collection}.json`);
+    fs.writeFileSync(file, JSON.stringify(renderJsonSchema(type), null, 2) + '\n');
+    files.push(file);
+  }
+
+  return files;
+}
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Directus Roles, Policies and Permissions
+ *
+ * schemaSnapshot() only covers collections, fields and relations, so access
+ * control (such as public read access to articles and definitions) is migrated
+ * separately. Roles and policies are matched by name and permissions by
+ * policy, collection and action - never by database ID.
+ *
+ * Usage:
+ *   node scripts/migrate-access.js [--from <profile>] [--to <profile>] [--dry-run] [--force] [--break-lock] [--delete]
+ *
+ * Roles, policies and permissions that exist only on the target are listed but
+ * kept, unless --delete is given.
+ */
+
+import { log } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { confirmApply } from './lib/migration.js';
+import { ACCESS_LABELS, diffAccess } from './lib/access.js';
+import { captureAccess, applyAccess } from './lib/access-api.js';
+import { countChanges, displayKeyedDiff, withoutDeletes } from './lib/keyed-diff.js';
+import { hashContent } from './lib/hash.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+const allowDelete = args.includes('--delete');
+
+async function main() {
+  try {
+    const { from: source, to: target } = parseProfileArgs(args);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('DIRECTUS ACCESS MIGRATION', 'magenta');
+    log(`${source.name} → ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (isDryRun) {
+      log('🔍 DRY RUN MODE - No changes will be applied\n', 'yellow');
+    }
+
+    const sourceClient = await connectProfile(source);
+    const targetClient = await connectProfile(target);
+    await acquireLock(targetClient, target, { operation: `access migration ${source.name} → ${target.name}`, breakLock, dryRun: isDryRun });
+
+    const sourceAccess = await captureAccess(sourceClient, source);
+    const targetAccess = await captureAccess(targetClient, target);
+
+    const fullDiff = diffAccess(targetAccess.snapshot, sourceAccess.snapshot);
+    const { kept, deletes } = withoutDeletes(fullDiff);
+    const diff = allowDelete ? fullDiff : kept;
+
+    if (!allowDelete && countChanges(deletes) > 0) {
+      log(`\nℹ️  Only on ${target.name} (kept; use --delete to remove):`, 'blue');
+      for (const [section, changes] of Object.entries(deletes)) {
+        for (const change of changes) {
+          log(`   ${ACCESS_LABELS[section]}: ${change.key}`, 'blue');
+        }
+      }
+    }
+
+    if (countChanges(diff) === 0) {
+      log(`\n✨ No access changes detected! ${target.name} is already up to date.\n`, 'green');
+      return;
+    }
+
+    displayKeyedDiff('ACCESS MIGRATION SUMMARY', diff, ACCESS_LABELS, { verbose: true });
+
+    if (allowDelete && countChanges(deletes) > 0) {
+      log('⚠️  WARNING: This migration DELETES roles, policies or permissions!', 'red');
+      log('   Users relying on them will lose access.\n', 'yellow');
+    }
+
+    if (isDryRun) {
+      log('🔍 DRY RUN COMPLETE', 'yellow');
+      log(`No changes were applied to ${target.name}`, 'blue');
+      log('Run without --dry-run to apply these changes\n', 'blue');
+      return;
+    }
+
+    if (!isForce && !(await confirmApply(target))) {
+      log('\n❌ Migration cancelled\n', 'yellow');
+      return;
+    }
+
+    await applyAccess(targetClient, diff, target, {
+      source,
+      sourceSnapshotHash: hashContent(sourceAccess.snapshot),
+      targetSnapshotHash: hashContent(targetAccess.snapshot)
+    });
+
+    log('\n🎉 Access migration complete!\n', 'green');
+    log(`  Check Settings → Access Policies at ${target.adminUrl}\n`, 'blue');
+
+  } catch (error) {
+    log('\n❌ Access migration failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Directus Flows, Dashboards and Presets
+ *
+ * Promotes configuration that schemaSnapshot() does not cover - flows and
+ * their operations, dashboards and their panels, and presets (saved views and
+ * bookmarks) - from one profile to another. Items are matched by name or key,
+ * never by database ID; references between them and to users (by email) and
+ * roles (by name) are remapped to the target's IDs.
+ *
+ * Usage:
+ *   node scripts/migrate-config.js [--from <profile>] [--to <profile>] [--dry-run] [--force] [--break-lock] [--delete]
+ *
+ * Only creates and updates are applied unless --delete is given, so running
+ * the same migration again changes nothing.
+ */
+
+import { log } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { confirmApply } from './lib/migration.js';
+import { CONFIG_LABELS, diffConfig } from './lib/config.js';
+import { captureConfig, applyConfig } from './lib/config-api.js';
+import { countChanges, displayKeyedDiff, withoutDeletes } from './lib/keyed-diff.js';
+import { hashContent } from './lib/hash.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+const allowDelete = args.includes('--delete');
+
+async function main() {
+  try {
+    const { from: source, to: target } = parseProfileArgs(args);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('DIRECTUS CONFIG MIGRATION', 'magenta');
+    log(`${source.name} → ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (isDryRun) {
+      log('🔍 DRY RUN MODE - No changes will be applied\n', 'yellow');
+    }
+
+    const sourceClient = await connectProfile(source);
+    const targetClient = await connectProfile(target);
+    await acquireLock(targetClient, target, { operation: `config migration ${source.name} → ${target.name}`, breakLock, dryRun: isDryRun });
+
+    const sourceConfig = await captureConfig(sourceClient, source);
+    const targetConfig = await captureConfig(targetClient, target);
+
+    const fullDiff = diffConfig(targetConfig.snapshot, sourceConfig.snapshot);
+    const { kept, deletes } = withoutDeletes(fullDiff);
+    const diff = allowDelete ? fullDiff : kept;
+
+    if (!allowDelete && countChanges(deletes) > 0) {
+      log(`\nℹ️  Only on ${target.name} (kept; use --delete to remove):`, 'blue');
+      for (const [section, changes] of Object.entries(deletes)) {
+        for (const change of changes) {
+          log(`   ${CONFIG_LABELS[section]}: ${change.key}`, 'blue');
+        }
+      }
+    }
+
+    if (countChanges(diff) === 0) {
+      log(`\n✨ No config changes detected! ${target.name} is already up to date.\n`, 'green');
+      return;
+    }
+
+    displayKeyedDiff('CONFIG MIGRATION SUMMARY', diff, CONFIG_LABELS, { verbose: true });
+
+    if (allowDelete && countChanges(deletes) > 0) {
+      log('⚠️  WARNING: This migration DELETES flows, dashboards or presets!', 'red');
+      log('   Deleting a flow or dashboard also deletes its operations or panels.\n', 'yellow');
+    }
+
+    if (isDryRun) {
+      log('🔍 DRY RUN COMPLETE', 'yellow');
+      log(`No changes were applied to ${target.name}`, 'blue');
+      log('Run without --dry-run to apply these changes\n', 'blue');
+      return;
+    }
+
+    if (!isForce && !(await confirmApply(target))) {
+      log('\n❌ Migration cancelled\n', 'yellow');
+      return;
+    }
+
+    await applyConfig(targetClient, diff, target, {
+      source,
+      sourceSnapshotHash: hashContent(sourceConfig.snapshot),
+      targetSnapshotHash: hashContent(targetConfig.snapshot)
+    });
+
+    log('\n🎉 Config migration complete!\n', 'green');
+    log(`  Check Flows, Insights and bookmarks at ${target.adminUrl}\n`, 'blue');
+
+  } catch (error) {
+    log('\n❌ Config migration failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Migration History
+ *
+ * Lists the schema migrations and rollbacks recorded in
+ * schema-snapshots/migration-ledger.jsonl, newest first.
+ *
+ * Usage:
+ *   node scripts/migration-history.js [--target <profile>] [--limit <n>] [--json]
+ */
+
+import { log, getArgValue } from './lib/cli.js';
+import { readLedger, LEDGER_PATH } from './lib/ledger.js';
+
+const args = process.argv.slice(2);
+const targetFilter = getArgValue(args, '--target');
+const limit = Number(getArgValue(args, '--limit', 20));
+const asJson = args.includes('--json');
+
+const OUTCOMES = {
+  applied: { icon: '✅', color: 'green' },
+  failed: { icon: '❌', color: 'red' },
+  blocked: { icon: '🛑', color: 'yellow' }
+};
+
+function main() {
+  try {
+    const entries = readLedger()
+      .filter(entry => !targetFilter || entry.target === targetFilter)
+      .reverse()
+      .slice(0, limit);
+
+    if (asJson) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('SCHEMA MIGRATION HISTORY', 'magenta');
+    log('='.repeat(60), 'magenta');
+
+    if (entries.length === 0) {
+      log(`\nNo migrations recorded in ${LEDGER_PATH}\n`, 'yellow');
+      return;
+    }
+
+    for (const entry of entries) {
+      const { icon, color } = OUTCOMES[entry.outcome] || { icon: '•', color: 'reset' };
+
+      log(`\n${icon} ${entry.timestamp}  ${entry.kind} ${entry.source} → ${entry.target}  (${entry.outcome})`, color);
+      log(`   operator: ${entry.operator}`, 'blue');
+      log(`   diff: ${entry.diffHash.slice(0, 12)}  source: ${entry.sourceSnapshotHash.slice(0, 12)}  target: ${entry.targetSnapshotHash.slice(0, 12)}`, 'blue');
+      if (entry.error) {
+        log(`   error: ${entry.error}`, 'red');
+      }
+    }
+
+    log('');
+  } catch (error) {
+    log('\n❌ Failed to read migration history!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    process.exit(1);
+  }
+}
+
+main();
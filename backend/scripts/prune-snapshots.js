@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Prune Saved Schema Snapshots
+ *
+ * Removes old snapshots and diffs from schema-snapshots/ using the snapshot
+ * index. For each environment the newest --keep distinct snapshots (and
+ * diffs) are kept, plus anything an applied migration or rollback in the
+ * ledger refers to. Older copies of identical content are always removed.
+ * Plans and the migration ledger are never touched.
+ *
+ * Usage:
+ *   node scripts/prune-snapshots.js [--keep <n>] [--dry-run]
+ */
+
+import { log, getArgValue } from './lib/cli.js';
+import { readIndex, removeSnapshots, selectPrunable, SNAPSHOT_DIR } from './lib/snapshots.js';
+import { readLedger } from './lib/ledger.js';
+
+const args = process.argv.slice(2);
+const keep = Number(getArgValue(args, '--keep', 5));
+const isDryRun = args.includes('--dry-run');
+
+function main() {
+  try {
+    if (!Number.isInteger(keep) || keep < 1) {
+      throw new Error(`--keep must be a positive whole number, got ${getArgValue(args, '--keep')}`);
+    }
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('PRUNE SCHEMA SNAPSHOTS', 'magenta');
+    log(`${SNAPSHOT_DIR} (keep last ${keep} per environment)`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (isDryRun) {
+      log('🔍 DRY RUN MODE - No files will be deleted\n', 'yellow');
+    }
+
+    const { kept, removed } = selectPrunable(readIndex(), { keep, ledger: readLedger() });
+
+    for (const { entry, reason } of kept) {
+      log(`  ✅ keep    ${entry.file} (${reason})`, 'green');
+    }
+    for (const { entry, reason } of removed) {
+      log(`  🗑️  remove  ${entry.file} (${reason})`, 'yellow');
+    }
+
+    if (removed.length === 0) {
+      log('\n✨ Nothing to prune\n', 'green');
+      return;
+    }
+
+    if (isDryRun) {
+      log(`\n🔍 ${removed.length} files would be removed`, 'yellow');
+      log('Run without --dry-run to delete them\n', 'blue');
+      return;
+    }
+
+    removeSnapshots(removed.map(({ entry }) => entry));
+    log(`\n✅ Removed ${removed.length} files, kept ${kept.length}\n`, 'green');
+
+  } catch (error) {
+    log('\n❌ Prune failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    process.exit(1);
+  }
+}
+
+main();
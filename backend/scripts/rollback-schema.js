@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Roll a Directus schema back to a saved snapshot
+ *
+ * Both migration scripts save a `<profile>-<timestamp>.json` snapshot of the
+ * target before applying. This script computes the diff from the target's
+ * current schema back to one of those snapshots and applies it through the
+ * same review, policy and confirmation flow as a migration.
+ *
+ * A rollback restores structure only. Collections and fields it recreates are
+ * empty, and anything created since the snapshot is dropped with its data -
+ * the script lists these operations before asking for confirmation.
+ *
+ * Usage:
+ *   node scripts/rollback-schema.js --to <snapshot> [--target <profile>] [--dry-run] [--force] [--break-lock] [--policy <file>]
+ *
+ * Example:
+ *   node scripts/rollback-schema.js --to production-1760915387021.json --dry-run
+ */
+
+import * as path from 'path';
+import { log, getArgValue } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { DEFAULT_POLICY_PATH } from './lib/policy.js';
+import { loadSnapshotFile } from './lib/snapshots.js';
+import { captureSnapshot, checkVersions, generateDiff, reviewDiff, confirmApply, applyDiff } from './lib/migration.js';
+import { findIrreversibleChanges, displayIrreversible } from './lib/rollback.js';
+import { hashContent } from './lib/hash.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+const policyPath = getArgValue(args, '--policy', DEFAULT_POLICY_PATH);
+const snapshotArg = getArgValue(args, '--to');
+
+async function main() {
+  if (!snapshotArg) {
+    log('Usage: node scripts/rollback-schema.js --to <snapshot> [--target <profile>] [--dry-run] [--force] [--break-lock]', 'yellow');
+    process.exit(1);
+  }
+
+  try {
+    const { target } = parseProfileArgs(args, { target: 'production' });
+    const { snapshot, snapshotPath } = loadSnapshotFile(snapshotArg);
+    const snapshotName = path.basename(snapshotPath);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('DIRECTUS SCHEMA ROLLBACK', 'magenta');
+    log(`${target.name} → ${snapshotName}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (isDryRun) {
+      log('🔍 Running in DRY RUN mode - no changes will be applied\n', 'yellow');
+    }
+
+    if (!snapshotName.startsWith(`${target.name}-`)) {
+      log(`⚠️  ${snapshotName} was not taken from ${target.name} - make sure this is the schema you want\n`, 'yellow');
+    }
+
+    // Step 1: Connect and save the current schema, so the rollback itself can be undone
+    const client = await connectProfile(target);
+    await acquireLock(client, target, { operation: `schema rollback to ${snapshotName}`, breakLock, dryRun: isDryRun });
+    const currentSnapshot = await captureSnapshot(client, target);
+
+    // Step 2: Diff from the current schema back to the snapshot, which may predate a Directus upgrade
+    const { force } = checkVersions(snapshot, currentSnapshot, { name: snapshotName }, target);
+    const diff = await generateDiff(client, snapshot, target, { force });
+
+    if (!diff) {
+      log(`\n✨ ${target.name} already matches ${snapshotName} - nothing to roll back\n`, 'green');
+      await releaseAndExit(0);
+    }
+
+    // Step 3: Review, policy and data at stake, then what cannot be restored
+    const review = await reviewDiff(client, diff, { policyPath });
+
+    if (!review) {
+      await releaseAndExit(1);
+    }
+
+    displayIrreversible(findIrreversibleChanges(diff));
+
+    // Step 4: Confirm and apply (unless dry run)
+    if (isDryRun) {
+      log('🔍 Dry run complete - no changes were made', 'yellow');
+      log('Run without --dry-run to apply this rollback\n', 'blue');
+      await releaseAndExit(0);
+    }
+
+    if (!isForce && !(await confirmApply(target, review))) {
+      log('\n❌ Rollback cancelled by user', 'yellow');
+      await releaseAndExit(0);
+    }
+
+    await applyDiff(client, diff, target, {
+      kind: 'rollback',
+      source: { name: snapshotName },
+      sourceSnapshotHash: hashContent(snapshot),
+      targetSnapshotHash: hashContent(currentSnapshot)
+    });
+
+    log(`\n✅ ${target.name} schema rolled back to ${snapshotName}`, 'green');
+    log('\nRecommendations:', 'cyan');
+    log('  1. Restore a database backup if any data listed above is needed', 'blue');
+    log(`  2. Verify the data model at ${target.adminUrl}\n`, 'blue');
+
+  } catch (error) {
+    log('\n❌ Rollback failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Apply a Reviewed Schema Migration Plan
+ *
+ * Second half of the plan-then-apply workflow. Re-snapshots the plan's target
+ * and refuses to continue if its schema has changed since the plan was made;
+ * otherwise applies exactly the diff stored in the plan, after the usual
+ * policy check, data-at-stake report and confirmation.
+ *
+ * Usage:
+ *   node scripts/schema-apply.js <plan-file> [--force] [--break-lock] [--policy <file>]
+ */
+
+import * as path from 'path';
+import { log, getArgValue } from './lib/cli.js';
+import { resolveProfile, connectProfile } from './lib/profiles.js';
+import { DEFAULT_POLICY_PATH } from './lib/policy.js';
+import { captureSnapshot, reviewDiff, confirmApply, applyDiff } from './lib/migration.js';
+import { loadPlan } from './lib/plan.js';
+import { hashContent } from './lib/hash.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+const policyPath = getArgValue(args, '--policy', DEFAULT_POLICY_PATH);
+const planArg = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--policy');
+
+async function main() {
+  if (!planArg) {
+    log('Usage: node scripts/schema-apply.js <plan-file> [--force] [--break-lock] [--policy <file>]', 'yellow');
+    process.exit(1);
+  }
+
+  try {
+    const { plan, planPath } = loadPlan(planArg);
+    const target = resolveProfile(plan.target);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('APPLY SCHEMA MIGRATION PLAN', 'magenta');
+    log(`${path.basename(planPath)}: ${plan.source} → ${plan.target}`, 'magenta');
+    log(`Planned ${plan.createdAt} by ${plan.operator}`, 'magenta');
+    if (plan.filters?.only.length || plan.filters?.exclude.length) {
+      log(`Only: ${plan.filters.only.join(', ') || 'all'}  Exclude: ${plan.filters.exclude.join(', ') || 'none'}`, 'magenta');
+    }
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (target.url !== plan.targetUrl) {
+      throw new Error(`Profile "${target.name}" points at ${target.url}, but the plan was made against ${plan.targetUrl}`);
+    }
+
+    // Step 1: Re-snapshot the target and refuse a stale plan
+    const client = await connectProfile(target);
+    await acquireLock(client, target, { operation: `schema apply of ${path.basename(planPath)}`, breakLock });
+    const currentSnapshot = await captureSnapshot(client, target);
+    const currentHash = hashContent(currentSnapshot);
+
+    if (currentHash !== plan.targetSnapshotHash) {
+      log(`\n🛑 ${target.name} schema has changed since this plan was made`, 'red');
+      log(`   planned against: ${plan.targetSnapshotHash}`, 'yellow');
+      log(`   current schema:  ${currentHash}`, 'yellow');
+      log('   Run schema-plan.js again and review the new plan.\n', 'yellow');
+      await releaseAndExit(1);
+    }
+    log(`✅ ${target.name} schema matches the plan (${currentHash.slice(0, 12)})`, 'green');
+
+    // Step 2: Review the planned diff again against the current policy
+    const review = await reviewDiff(client, plan.diff, { policyPath });
+    if (!review) {
+      await releaseAndExit(1);
+    }
+
+    // Step 3: Confirm and apply exactly the planned diff
+    if (!isForce && !(await confirmApply(target, review))) {
+      log('\n❌ Apply cancelled by user', 'yellow');
+      await releaseAndExit(0);
+    }
+
+    await applyDiff(client, plan.diff, target, {
+      kind: 'plan',
+      source: { name: plan.source },
+      sourceSnapshotHash: plan.sourceSnapshotHash,
+      targetSnapshotHash: plan.targetSnapshotHash
+    });
+
+    log('\n✅ Plan applied successfully!', 'green');
+    log(`  Verify the data model at ${target.adminUrl}\n`, 'blue');
+
+  } catch (error) {
+    log('\n❌ Apply failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
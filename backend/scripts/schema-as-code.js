@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Schema as Code
+ *
+ * Keeps the Directus schema in git as a directory tree with one file per
+ * collection (see lib/schema-tree.js), so schema changes are reviewed as
+ * readable pull request diffs instead of timestamped snapshot blobs.
+ *
+ * Usage:
+ *   node scripts/schema-as-code.js export [--from <profile> | --snapshot <file>] [--dir <dir>]
+ *   node scripts/schema-as-code.js import [--to <profile>] [--dir <dir>] [--output <file>]
+ *                                         [--dry-run] [--force] [--break-lock] [--policy <file>]
+ *                                         [--only <collections>] [--exclude <collections>]
+ *
+ * export  writes the schema of a profile (default: local) or a saved snapshot to the tree
+ * import  rebuilds a snapshot from the tree, asks the target (default: production) for
+ *         the diff and applies it after the usual review and confirmation
+ *
+ * The tree lives in backend/schema/ unless --dir is given. --output also saves the
+ * rebuilt snapshot to a file. Fields in scripts/schema-ignore.json are not exported.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { schemaSnapshot } from '@directus/sdk';
+import { log, getArgValue, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { loadSnapshotFile } from './lib/snapshots.js';
+import { DEFAULT_POLICY_PATH } from './lib/policy.js';
+import { captureSnapshot, checkVersions, generateDiff, selectChanges, reviewDiff, confirmApply, applyDiff } from './lib/migration.js';
+import { SCHEMA_DIR, exportSchemaTree, importSchemaTree } from './lib/schema-tree.js';
+import { hashContent } from './lib/hash.js';
+import { loadIgnoreRules, withoutIgnored } from './lib/ignore.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const command = args[0];
+const dir = path.resolve(getArgValue(args, '--dir', SCHEMA_DIR));
+const snapshotFile = getArgValue(args, '--snapshot');
+const outputPath = getArgValue(args, '--output');
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+const policyPath = getArgValue(args, '--policy', DEFAULT_POLICY_PATH);
+const filters = { only: getListArg(args, '--only'), exclude: getListArg(args, '--exclude') };
+
+async function exportTree() {
+  let snapshot;
+
+  if (snapshotFile) {
+    const loaded = loadSnapshotFile(snapshotFile);
+    log(`📁 Exporting ${loaded.snapshotPath}`, 'cyan');
+    snapshot = loaded.snapshot;
+  } else {
+    const { from: source } = parseProfileArgs(args, { from: 'local' });
+    const client = await connectProfile(source);
+    log(`📸 Taking snapshot of ${source.name} schema...`, 'cyan');
+    snapshot = await client.request(schemaSnapshot());
+  }
+
+  const written = exportSchemaTree(withoutIgnored(snapshot, loadIgnoreRules()), dir);
+
+  log(`\n✅ Schema exported to ${dir} (${written.length - 1} collection files)`, 'green');
+  log('   Commit the directory to review schema changes in pull requests.\n', 'blue');
+}
+
+async function importTree() {
+  const { to: target } = parseProfileArgs(args, { to: 'production' });
+
+  const snapshot = importSchemaTree(dir);
+  log(`📁 Rebuilt snapshot from ${dir}: ${snapshot.collections.length} collections, ${snapshot.fields.length} fields, ${snapshot.relations.length} relations`, 'cyan');
+
+  if (outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(snapshot, null, 2));
+    log(`📁 Snapshot saved to: ${outputPath}`, 'blue');
+  }
+
+  if (isDryRun) {
+    log('\n🔍 DRY RUN MODE - No changes will be applied', 'yellow');
+  }
+
+  const client = await connectProfile(target);
+  await acquireLock(client, target, { operation: `schema import from ${path.relative(process.cwd(), dir) || dir}`, breakLock, dryRun: isDryRun });
+  const targetSnapshot = await captureSnapshot(client, target);
+
+  const { force } = checkVersions(snapshot, targetSnapshot, { name: path.relative(process.cwd(), dir) || dir }, target);
+  const fullDiff = await generateDiff(client, snapshot, target, { force });
+  const diff = fullDiff && selectChanges(fullDiff, filters);
+  if (!diff) {
+    return;
+  }
+
+  const review = await reviewDiff(client, diff, { policyPath, verbose: true });
+  if (!review) {
+    await releaseAndExit(1);
+  }
+
+  if (isDryRun) {
+    log('🔍 DRY RUN COMPLETE', 'yellow');
+    log(`No changes were applied to ${target.name}\n`, 'blue');
+    return;
+  }
+
+  if (!isForce && !(await confirmApply(target, review))) {
+    log('\n❌ Import cancelled\n', 'yellow');
+    return;
+  }
+
+  await applyDiff(client, diff, target, {
+    source: { name: path.relative(process.cwd(), dir) || dir },
+    sourceSnapshotHash: hashContent(snapshot),
+    targetSnapshotHash: hashContent(targetSnapshot)
+  });
+
+  log('\n🎉 Schema imported!\n', 'green');
+}
+
+async function main() {
+  const commands = { export: exportTree, import: importTree };
+
+  if (!commands[command]) {
+    log('Usage: node scripts/schema-as-code.js <export|import> [options]', 'yellow');
+    process.exit(1);
+  }
+
+  log('\n' + '='.repeat(60), 'magenta');
+  log(`SCHEMA AS CODE: ${command.toUpperCase()}`, 'magenta');
+  log('='.repeat(60) + '\n', 'magenta');
+
+  try {
+    await commands[command]();
+  } catch (error) {
+    log(`\n❌ Schema ${command} failed!`, 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
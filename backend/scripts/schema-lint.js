@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Lint
+ *
+ * Checks a schema snapshot against the conventions in schema-lint.json:
+ * content collections without a status field, slug fields that are not
+ * unique, mixed created_at / date_created timestamp styles and relations
+ * without an on_delete rule. See lib/lint.js for the rules and their options.
+ *
+ * Usage:
+ *   node scripts/schema-lint.js [--snapshot <file> | --from <profile>] [--config <file>] [--json]
+ *
+ * Examples:
+ *   node scripts/schema-lint.js --snapshot local-1760915386721.json
+ *   node scripts/schema-lint.js --from production --json
+ *
+ * Without --snapshot the schema of the --from profile (default local) is linted.
+ *
+ * Exit codes: 0 no errors (warnings allowed), 1 errors found, 2 the lint could not run
+ */
+
+import { schemaSnapshot } from '@directus/sdk';
+import { log, logToStderr, getArgValue } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { loadSnapshotFile } from './lib/snapshots.js';
+import {
+  DEFAULT_LINT_CONFIG_PATH, LINT_EXIT_CODES, loadLintConfig, lintSnapshot, countViolations, displayViolations
+} from './lib/lint.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const snapshotFile = getArgValue(args, '--snapshot');
+const configPath = getArgValue(args, '--config', DEFAULT_LINT_CONFIG_PATH);
+
+async function readSchema() {
+  if (snapshotFile) {
+    const { snapshot, snapshotPath } = loadSnapshotFile(snapshotFile);
+    return { name: snapshotPath, snapshot };
+  }
+
+  const { from: source } = parseProfileArgs(args, { from: 'local' });
+  const client = await connectProfile(source, { interactive: false });
+  log(`📸 Taking ${source.name} snapshot...`, 'cyan');
+  return { name: source.name, snapshot: await client.request(schemaSnapshot()) };
+}
+
+async function main() {
+  if (asJson) {
+    logToStderr();
+  }
+
+  try {
+    const config = loadLintConfig(configPath);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('SCHEMA LINT', 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    const { name, snapshot } = await readSchema();
+    log(`🔍 Linting ${name}...\n`, 'cyan');
+
+    const violations = lintSnapshot(snapshot, config);
+    const counts = countViolations(violations);
+
+    if (asJson) {
+      console.log(JSON.stringify({ schema: name, ...counts, violations }, null, 2));
+    } else {
+      displayViolations(violations);
+    }
+
+    if (violations.length === 0) {
+      log('✅ No lint violations\n', 'green');
+    } else {
+      log(`\n${counts.errors} error(s), ${counts.warnings} warning(s)\n`, counts.errors > 0 ? 'red' : 'yellow');
+    }
+
+    process.exitCode = counts.errors > 0 ? LINT_EXIT_CODES.errors : LINT_EXIT_CODES.clean;
+
+  } catch (error) {
+    log('\n❌ Schema lint failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    process.exitCode = LINT_EXIT_CODES.failure;
+  }
+}
+
+main();
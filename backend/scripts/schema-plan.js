@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Plan a Directus Schema Migration
+ *
+ * First half of the plan-then-apply workflow. Snapshots both instances, asks
+ * the target for the diff, runs the usual review (summary, destructive change
+ * policy, data at stake) and writes a plan file for code review. Nothing is
+ * applied - use schema-apply.js with the reviewed plan.
+ *
+ * Usage:
+ *   node scripts/schema-plan.js [--from <profile>] [--to <profile>] [--output <file>] [--policy <file>]
+ *                                [--only <collections>] [--exclude <collections>]
+ *
+ * The plan is written to schema-snapshots/plan-<timestamp>.json unless --output is given.
+ */
+
+import { log, getArgValue, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { DEFAULT_POLICY_PATH } from './lib/policy.js';
+import { captureSnapshot, checkVersions, generateDiff, selectChanges, reviewDiff } from './lib/migration.js';
+import { createPlan, savePlan } from './lib/plan.js';
+
+const args = process.argv.slice(2);
+const outputPath = getArgValue(args, '--output');
+const policyPath = getArgValue(args, '--policy', DEFAULT_POLICY_PATH);
+const filters = { only: getListArg(args, '--only'), exclude: getListArg(args, '--exclude') };
+
+async function main() {
+  try {
+    const { from: source, to: target } = parseProfileArgs(args);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('DIRECTUS SCHEMA MIGRATION PLAN', 'magenta');
+    log(`${source.name} → ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    const sourceClient = await connectProfile(source);
+    const targetClient = await connectProfile(target);
+
+    const sourceSnapshot = await captureSnapshot(sourceClient, source);
+    const targetSnapshot = await captureSnapshot(targetClient, target);
+
+    const { force } = checkVersions(sourceSnapshot, targetSnapshot, source, target);
+    const fullDiff = await generateDiff(targetClient, sourceSnapshot, target, { force });
+    const diff = fullDiff && selectChanges(fullDiff, filters);
+    if (!diff) {
+      log('\n✨ Nothing to plan - no changes needed!\n', 'green');
+      process.exit(0);
+    }
+
+    // A plan the policy would refuse is not written at all
+    const review = await reviewDiff(targetClient, diff, { policyPath });
+    if (!review) {
+      process.exit(1);
+    }
+
+    const plan = createPlan({ source, target, sourceSnapshot, targetSnapshot, diff, filters });
+    const planPath = savePlan(plan, outputPath || undefined);
+
+    log(`📝 Plan written to: ${planPath}`, 'green');
+    log(`   ${target.name} schema hash: ${plan.targetSnapshotHash}`, 'blue');
+    log(`   diff hash: ${plan.diffHash}`, 'blue');
+
+    log('\nNext steps:', 'cyan');
+    log('  1. Commit the plan and open a pull request for review', 'blue');
+    log(`  2. After approval: node scripts/schema-apply.js ${planPath}\n`, 'blue');
+
+  } catch (error) {
+    log('\n❌ Planning failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    process.exit(1);
+  }
+}
+
+main();
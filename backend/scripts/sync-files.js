@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Sync Files Between Directus Instances
+ *
+ * Finds every file referenced by the items of the given collections on the
+ * source (`articles.PDF`, `supporting_documents.file`, `global_settings.logo`,
+ * `settings.image`, ...) and uploads the ones that are missing or changed on
+ * the target. Files keep their UUID, folder and metadata, so copied content
+ * points at the same files on both instances. Run it before or after
+ * content-copy.js.
+ *
+ * Usage:
+ *   node scripts/sync-files.js [--collections <a,b,c>] [--from <profile>] [--to <profile>] [--dry-run] [--force] [--break-lock]
+ *
+ * Without --collections every collection with a file field is scanned.
+ * Nothing on the target is deleted.
+ */
+
+import { schemaSnapshot, readItems } from '@directus/sdk';
+import { log, getListArg } from './lib/cli.js';
+import { parseProfileArgs, connectProfile } from './lib/profiles.js';
+import { confirmApply } from './lib/migration.js';
+import {
+  findFileFields, collectFileReferences, planFileSync, missingFolders, countFileChanges, displayFileSyncPlan
+} from './lib/file-sync.js';
+import { readFilesById, readAllFolders, compareChecksums, createFolders, syncFile } from './lib/file-sync-api.js';
+import { acquireLock, releaseAndExit } from './lib/lock-api.js';
+
+const args = process.argv.slice(2);
+const collections = getListArg(args, '--collections');
+const isDryRun = args.includes('--dry-run');
+const isForce = args.includes('--force');
+const breakLock = args.includes('--break-lock');
+
+/**
+ * The primary key and file fields of every item; singletons come back as a
+ * single object
+ */
+async function readReferencingItems(client, fileFields) {
+  const items = new Map();
+
+  for (const collection of new Set(fileFields.map(item => item.collection))) {
+    const fields = fileFields.filter(item => item.collection === collection);
+    const result = await client.request(readItems(collection, {
+      fields: [fields[0].primaryKey, ...fields.map(item => item.field)],
+      limit: -1
+    }));
+    items.set(collection, [].concat(result || []));
+  }
+
+  return items;
+}
+
+async function main() {
+  try {
+    const { from: source, to: target } = parseProfileArgs(args);
+
+    log('\n' + '='.repeat(60), 'magenta');
+    log('SYNC FILES', 'magenta');
+    log(`${source.name} → ${target.name}`, 'magenta');
+    log('='.repeat(60) + '\n', 'magenta');
+
+    if (isDryRun) {
+      log('🔍 DRY RUN MODE - No changes will be applied\n', 'yellow');
+    }
+
+    const sourceClient = await connectProfile(source);
+    const targetClient = await connectProfile(target);
+    await acquireLock(targetClient, target, { operation: `file sync ${source.name} → ${target.name}`, breakLock, dryRun: isDryRun });
+
+    const fileFields = findFileFields(await sourceClient.request(schemaSnapshot()), collections);
+    if (fileFields.length === 0) {
+      log(`⚠️  ${collections.length > 0 ? collections.join(', ') : 'The source'} has no file fields - nothing to sync\n`, 'yellow');
+      return;
+    }
+    log(`🔍 File fields: ${fileFields.map(item => `${item.collection}.${item.field}`).join(', ')}`, 'cyan');
+
+    log(`📖 Reading references from ${source.name}...`, 'cyan');
+    const references = collectFileReferences(await readReferencingItems(sourceClient, fileFields), fileFields);
+    const ids = [...references.keys()];
+    log(`✅ ${ids.length} referenced file(s)`, 'green');
+
+    log('🔍 Comparing files...', 'cyan');
+    const sourceFiles = await readFilesById(sourceClient, ids);
+    const targetFiles = await readFilesById(targetClient, ids);
+    const checksums = await compareChecksums(sourceClient, targetClient, sourceFiles, targetFiles);
+
+    const plan = planFileSync({ references, sourceFiles, targetFiles, checksums });
+    const pending = plan.changes.filter(change => change.action !== 'unchanged');
+    const folders = missingFolders(
+      [...new Set(pending.map(change => change.file.folder).filter(Boolean))],
+      await readAllFolders(sourceClient),
+      await readAllFolders(targetClient)
+    );
+
+    displayFileSyncPlan(plan, folders);
+
+    if (pending.length === 0) {
+      log(`✨ ${target.name} already has every referenced file - nothing to sync!\n`, 'green');
+      return;
+    }
+
+    if (isDryRun) {
+      log('🔍 DRY RUN COMPLETE', 'yellow');
+      log(`No changes were applied to ${target.name}`, 'blue');
+      log('Run without --dry-run to sync these files\n', 'blue');
+      return;
+    }
+
+    if (!isForce && !(await confirmApply(target))) {
+      log('\n❌ Sync cancelled\n', 'yellow');
+      return;
+    }
+
+    await createFolders(targetClient, folders);
+    for (const change of pending) {
+      log(`🚀 ${change.action === 'update' ? 'Updating' : 'Uploading'} ${change.file.filename_download || change.id}...`, 'cyan');
+      await syncFile(sourceClient, targetClient, change);
+    }
+
+    const counts = countFileChanges(plan);
+    log(`\n✅ Synced ${counts.upload} new, ${counts.replace} replaced and ${counts.update} updated file(s) to ${target.name}!\n`, 'green');
+    if (plan.orphaned.length > 0) {
+      log(`⚠️  ${plan.orphaned.length} orphaned reference(s) were not synced - see the plan above\n`, 'yellow');
+    }
+
+  } catch (error) {
+    log('\n❌ File sync failed!', 'red');
+    log(`Error: ${error.message}`, 'red');
+    if (error.errors) {
+      log('\nDetails:', 'red');
+      console.error(error.errors);
+    }
+    await releaseAndExit(1);
+  }
+}
+
+main();
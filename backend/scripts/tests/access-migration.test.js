@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Access Migration Tests
+ * Tests for normalizing and diffing roles, policies and permissions in scripts/lib/access.js
+ */
+
+import { diffAccess, indexAccessIds, normalizeAccess, PUBLIC_ROLE } from '../lib/access.js';
+import { withoutDeletes } from '../lib/keyed-diff.js';
+import { assertEqual } from './helpers.js';
+
+const PUBLIC_POLICY = '$t:public_label';
+
+function readPermission(id, policy, collection) {
+  return { id, policy, collection, action: 'read', fields: ['*'], permissions: {}, validation: null, presets: null };
+}
+
+// Local: public can read articles and definitions, editors have their own policy
+const local = {
+  roles: [{ id: 'r-1', name: 'Editor', description: null, icon: 'edit', parent: null }],
+  policies: [
+    { id: 'p-1', name: PUBLIC_POLICY, roles: [{ id: 1, role: null, user: null }] },
+    { id: 'p-2', name: 'Content Editing', app_access: true, roles: [{ id: 2, role: 'r-1', user: null }, { id: 3, role: null, user: 'u-1' }] }
+  ],
+  permissions: [
+    readPermission(10, 'p-1', 'definitions'),
+    readPermission(11, 'p-1', 'articles')
+  ]
+};
+
+// Production: different IDs, public can only read articles, has a leftover policy
+const production = {
+  roles: [{ id: 'r-9', name: 'Editor', description: null, icon: 'edit', parent: null }],
+  policies: [
+    { id: 'p-7', name: PUBLIC_POLICY, roles: [{ id: 5, role: null, user: null }] },
+    { id: 'p-8', name: 'Legacy', roles: [] }
+  ],
+  permissions: [
+    { ...readPermission(20, 'p-7', 'articles'), fields: ['title', 'content'] }
+  ]
+};
+
+/**
+ * Test that snapshots carry names instead of IDs
+ */
+function testNormalize() {
+  console.log('\n=== Testing Access Normalization ===');
+
+  try {
+    const snapshot = normalizeAccess(local);
+
+    assertEqual(snapshot.policies.map(policy => policy.roles), [[PUBLIC_ROLE], ['Editor']], 'Policy roles');
+    assertEqual(snapshot.permissions.map(permission => permission.policy), [PUBLIC_POLICY, PUBLIC_POLICY], 'Permission policies');
+    if (JSON.stringify(snapshot).includes('p-1') || JSON.stringify(snapshot).includes('r-1')) {
+      throw new Error('Database IDs leaked into the snapshot');
+    }
+    console.log('✓ Roles, policies and permissions reference each other by name');
+    console.log('✓ Access granted to individual users is left out');
+
+    console.log('Normalization tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Normalization test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test matching by stable keys across instances with different IDs
+ */
+function testDiff() {
+  console.log('\n=== Testing Access Diff ===');
+
+  try {
+    const diff = diffAccess(normalizeAccess(production), normalizeAccess(local));
+    const summary = section => diff[section].map(change => `${change.action} ${change.key}`);
+
+    assertEqual(summary('roles'), [], 'Roles (same name, different ID)');
+    assertEqual(summary('policies'), ['create Content Editing', 'delete Legacy'], 'Policies');
+    assertEqual(summary('permissions'), [
+      `update ${PUBLIC_POLICY}: articles read`,
+      `create ${PUBLIC_POLICY}: definitions read`
+    ], 'Permissions');
+    assertEqual(diff.permissions[0].paths, ['fields.0', 'fields.1'], 'Changed paths');
+    console.log('✓ Items are matched by name and policy/collection/action, not ID');
+
+    const { kept, deletes } = withoutDeletes(diff);
+    assertEqual(kept.policies.map(change => change.key), ['Content Editing'], 'Kept policies');
+    assertEqual(deletes.policies.map(change => change.key), ['Legacy'], 'Deleted policies');
+    console.log('✓ Deletes are split off');
+
+    console.log('Access diff tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Access diff test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the ID lookup used when applying to the target
+ */
+function testIndexIds() {
+  console.log('\n=== Testing Target ID Lookup ===');
+
+  try {
+    const ids = indexAccessIds(production);
+
+    assertEqual(ids.roles.get('Editor'), 'r-9', 'Role ID');
+    assertEqual(ids.policies.get(PUBLIC_POLICY), 'p-7', 'Policy ID');
+    assertEqual(ids.access.get(PUBLIC_POLICY), [{ id: 5, role: PUBLIC_ROLE }], 'Access rows');
+    assertEqual(ids.permissions.get(`${PUBLIC_POLICY}: articles read`), 20, 'Permission ID');
+    console.log('✓ Target IDs are found by stable key');
+
+    console.log('ID lookup tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ ID lookup test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that duplicate names are refused
+ */
+function testDuplicateKeys() {
+  console.log('\n=== Testing Duplicate Keys ===');
+
+  try {
+    const duplicated = { ...local, roles: [...local.roles, { id: 'r-2', name: 'Editor' }] };
+
+    try {
+      diffAccess(normalizeAccess(production), normalizeAccess(duplicated));
+    } catch (error) {
+      if (!error.message.includes('Editor')) {
+        throw error;
+      }
+      console.log('✓ Two roles with the same name are refused');
+      console.log('Duplicate key tests passed');
+      return true;
+    }
+
+    throw new Error('Duplicate role names were accepted');
+  } catch (error) {
+    console.error('❌ Duplicate key test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all access migration tests
+ */
+function runAllTests() {
+  console.log('Starting Access Migration Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testNormalize,
+    testDiff,
+    testIndexIds,
+    testDuplicateKeys
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Access Migration Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All access migration tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some access migration tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Collection Spec Tests
+ * Tests for presets, expansion and idempotent planning in scripts/lib/collection-spec.js
+ */
+
+import { loadSpecs, expandSpec, planCollectionSpec, hasSpecChanges } from '../lib/collection-spec.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const schema = loadJson('local-1760915386721.json');
+
+/**
+ * Test that presets expand into fields and relations
+ */
+function testPresets() {
+  console.log('\n=== Testing Field Presets ===');
+
+  try {
+    const spec = expandSpec({
+      collection: 'notes',
+      fields: ['status', { preset: 'sort', meta: { width: 'half' } }, 'user_created', 'date_updated']
+    });
+
+    assertEqual(spec.fields.map(field => field.field), ['id', 'status', 'sort', 'user_created', 'date_updated'], 'Fields');
+    assertEqual(spec.fields[0].schema.has_auto_increment, true, 'Integer primary key by default');
+    console.log('✓ Presets expand in order after an integer primary key');
+
+    assertEqual(spec.fields[2].meta, { interface: 'input', hidden: true, width: 'half' }, 'Preset override');
+    console.log('✓ Overrides are merged into the preset');
+
+    assertEqual(spec.relations, [{
+      collection: 'notes',
+      field: 'user_created',
+      related_collection: 'directus_users',
+      schema: { on_delete: 'SET NULL' }
+    }], 'Relations');
+    console.log('✓ user_created brings its relation to directus_users');
+
+    for (const invalid of [{ collection: 'notes', fields: ['priority'] }, { collection: 'notes', fields: ['sort', 'sort'] }]) {
+      let failed = false;
+      try {
+        expandSpec(invalid);
+      } catch {
+        failed = true;
+      }
+      if (!failed) {
+        throw new Error(`${JSON.stringify(invalid.fields)} was accepted`);
+      }
+    }
+    console.log('✓ Unknown presets and duplicate fields are refused');
+
+    console.log('Field preset tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Field preset test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that the pages spec matches the instance that already has it
+ */
+function testIdempotent() {
+  console.log('\n=== Testing Idempotent Plan ===');
+
+  try {
+    const pages = loadSpecs().map(expandSpec).find(spec => spec.collection === 'pages');
+    const plan = planCollectionSpec(pages, schema);
+
+    assertEqual(hasSpecChanges(plan), false, 'Nothing to create');
+    assertEqual(plan.differences, [], 'No differences');
+    console.log('✓ The pages spec matches the local snapshot exactly');
+
+    const missing = planCollectionSpec(pages, {
+      collections: schema.collections.filter(item => item.collection !== 'pages'),
+      fields: schema.fields.filter(item => item.collection !== 'pages'),
+      relations: schema.relations.filter(item => item.collection !== 'pages')
+    });
+    assertEqual(missing.exists, false, 'Collection missing');
+    assertEqual(missing.missingRelations.map(relation => relation.field), ['user_created', 'user_updated'], 'Relations to create');
+    console.log('✓ A missing collection is created with its user relations');
+
+    console.log('Idempotent plan tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Idempotent plan test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that missing fields are created and differing ones only reported
+ */
+function testDifferences() {
+  console.log('\n=== Testing Differences ===');
+
+  try {
+    const plan = planCollectionSpec(expandSpec({
+      collection: 'pages',
+      primaryKey: 'uuid',
+      fields: [{ preset: 'sort', meta: { width: 'half' } }, 'date_created']
+    }), schema);
+
+    assertEqual(plan.missingFields.map(field => field.field), ['date_created'], 'Missing fields');
+    assertEqual(plan.differences, [{ target: 'pages.sort', path: 'meta.width', expected: 'half', actual: 'full' }], 'Differences');
+    console.log('✓ Missing fields are created and differing values are reported, not changed');
+
+    if (!plan.unspecified.includes('slug')) {
+      throw new Error('Fields outside the spec are not listed');
+    }
+    console.log('✓ Existing fields outside the spec are listed');
+
+    console.log('Difference tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Difference test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all collection spec tests
+ */
+function runAllTests() {
+  console.log('Starting Collection Spec Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testPresets,
+    testIdempotent,
+    testDifferences
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Collection Spec Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All collection spec tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some collection spec tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
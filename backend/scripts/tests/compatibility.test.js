@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Version Compatibility Tests
+ * Tests for the snapshot version pre-flight check in scripts/lib/compatibility.js
+ */
+
+import { compareVersions, checkCompatibility, findUnsupported } from '../lib/compatibility.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const local = loadJson('local-1760915386721.json');
+const production = loadJson('production-1760915387021.json');
+
+/**
+ * Test which version combinations are refused, forced or left alone
+ */
+function testVersions() {
+  console.log('\n=== Testing Versions ===');
+
+  try {
+    assertEqual(compareVersions('11.12.0', '11.9.2') > 0, true, 'Minor versions compare as numbers');
+    assertEqual(compareVersions('11.12.0-rc.1', '11.12.0'), 0, 'Pre-release suffix');
+
+    assertEqual(checkCompatibility(local, production), { compatible: true, force: false, errors: [], warnings: [] }, 'Same versions');
+    console.log('✓ Snapshots from the same version pass without warnings');
+
+    const patched = checkCompatibility(local, { ...production, directus: '11.11.3' });
+    assertEqual([patched.compatible, patched.force, patched.errors.length], [true, true, 0], 'Minor version difference');
+    console.log('✓ Minor version differences are forced with a warning');
+
+    const major = checkCompatibility(local, { ...production, directus: '10.13.1' });
+    const vendor = checkCompatibility(local, { ...production, vendor: 'mysql' });
+    const format = checkCompatibility(local, { ...production, version: 2 });
+    const unknown = checkCompatibility({ ...local, directus: undefined }, production);
+    for (const [name, result] of Object.entries({ major, vendor, format, unknown })) {
+      assertEqual([result.compatible, result.force, result.errors.length], [false, false, 1], `Incompatible ${name}`);
+    }
+    console.log('✓ Major version, database, format and unknown versions are refused');
+
+    console.log('Version tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Version test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the warnings about types and options the target does not know
+ */
+function testUnsupported() {
+  console.log('\n=== Testing Unsupported Features ===');
+
+  try {
+    const source = {
+      ...local,
+      directus: '11.12.0',
+      collections: local.collections.map(item =>
+        item.collection === 'pages' ? { ...item, meta: { ...item.meta, future_option: true } } : item),
+      fields: [
+        ...local.fields.map(field => field.meta ? { ...field, meta: { ...field.meta, unset_option: null } } : field),
+        { collection: 'pages', field: 'shape', type: 'vector', meta: null, schema: {} },
+        { collection: 'pages', field: 'area', type: 'geometry.Polygon', meta: null, schema: {} }
+      ]
+    };
+    const target = { ...production, directus: '11.9.2' };
+
+    assertEqual(findUnsupported(source, target), [
+      'field type "vector" may not be supported by Directus 11.9.2: pages.shape',
+      'collection option "future_option" is not known to Directus 11.9.2 and will be ignored (set on 1 collections)'
+    ], 'Warnings');
+    console.log('✓ New field types and options set on the source are reported');
+    console.log('✓ Options left null and standard types are not');
+
+    const result = checkCompatibility(source, target);
+    assertEqual(result.warnings.length, 3, 'Warnings with the version difference');
+
+    const empty = findUnsupported(source, { ...target, collections: [], fields: [], relations: [] });
+    assertEqual(empty.length, 1, 'Empty target only reports types');
+    console.log('✓ Options are not guessed from an empty target');
+
+    console.log('Unsupported feature tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Unsupported feature test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all version compatibility tests
+ */
+function runAllTests() {
+  console.log('Starting Version Compatibility Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testVersions,
+    testUnsupported
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Version Compatibility Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All version compatibility tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some version compatibility tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
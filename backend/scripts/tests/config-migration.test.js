@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Config Migration Tests
+ * Tests for normalizing and diffing flows, dashboards and presets in scripts/lib/config.js
+ */
+
+import { diffConfig, indexConfigIds, normalizeConfig, findUnresolvedRefs, mapOptionRefs } from '../lib/config.js';
+import { assertEqual } from './helpers.js';
+
+function instance(prefix, { status = 'active' } = {}) {
+  const id = name => `${prefix}-${name}`;
+  return {
+    flows: [
+      { id: id('publish'), name: 'Notify on publish', status, trigger: 'event', options: { type: 'action' }, operation: id('op-check') },
+      { id: id('reindex'), name: 'Reindex search', status: 'active', trigger: 'operation', options: null, operation: id('op-index') }
+    ],
+    operations: [
+      { id: id('op-check'), flow: id('publish'), key: 'check', type: 'condition', position_x: 19, position_y: 1, options: {}, resolve: id('op-run'), reject: null },
+      { id: id('op-run'), flow: id('publish'), key: 'run_reindex', type: 'trigger', position_x: 37, position_y: 1, options: { flow: id('reindex') }, resolve: null, reject: null },
+      { id: id('op-index'), flow: id('reindex'), key: 'index', type: 'request', position_x: 19, position_y: 1, options: { url: 'https://search' }, resolve: null, reject: null }
+    ],
+    dashboards: [{ id: id('dash'), name: 'Content', icon: 'insights', note: null, color: null }],
+    panels: [{ id: id('panel'), dashboard: id('dash'), name: 'Articles', type: 'metric', position_x: 1, position_y: 1, width: 12, height: 6, options: { collection: 'articles' } }],
+    presets: [
+      { id: 1, collection: 'articles', bookmark: 'Drafts', user: null, role: id('editor'), filter: { status: { _eq: 'draft' } } },
+      { id: 2, collection: 'articles', bookmark: 'Mine', user: id('user'), role: null },
+      { id: 3, collection: 'articles', bookmark: 'Lost', user: id('no-email'), role: null }
+    ],
+    users: [{ id: id('user'), email: 'editor@charlotteudo.org' }, { id: id('no-email'), email: null }],
+    roles: [{ id: id('editor'), name: 'Editor' }]
+  };
+}
+
+/**
+ * Test that snapshots carry names and keys instead of IDs
+ */
+function testNormalize() {
+  console.log('\n=== Testing Config Normalization ===');
+
+  try {
+    const snapshot = normalizeConfig(instance('staging'));
+
+    if (JSON.stringify(snapshot).includes('staging-')) {
+      throw new Error('Database IDs leaked into the snapshot');
+    }
+    assertEqual(snapshot.flows[0].operation, 'check', 'First operation');
+    assertEqual(snapshot.operations.find(operation => operation.key === 'check').resolve, 'run_reindex', 'Resolve');
+    assertEqual(snapshot.operations.find(operation => operation.key === 'run_reindex').options.flow, 'Reindex search', 'Triggered flow');
+    assertEqual(snapshot.panels[0].dashboard, 'Content', 'Panel dashboard');
+    console.log('✓ Flows, operations and panels reference each other by name');
+
+    assertEqual(snapshot.presets.map(preset => [preset.user, preset.role]), [[null, 'Editor'], ['editor@charlotteudo.org', null]], 'Preset owners');
+    console.log('✓ Preset owners are users by email and roles by name; presets of users without email are left out');
+
+    console.log('Normalization tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Normalization test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that instances with different IDs are matched by key
+ */
+function testDiff() {
+  console.log('\n=== Testing Config Diff ===');
+
+  try {
+    const staging = normalizeConfig(instance('staging', { status: 'active' }));
+    const production = normalizeConfig(instance('production', { status: 'inactive' }));
+
+    const same = diffConfig(staging, normalizeConfig(instance('production', { status: 'active' })));
+    assertEqual(Object.values(same).flat(), [], 'Identical config on different IDs');
+    console.log('✓ Identical config with different IDs has no changes (idempotent)');
+
+    const diff = diffConfig(production, staging);
+    assertEqual(diff.flows.map(change => [change.action, change.key, change.paths]), [['update', 'Notify on publish', ['status']]], 'Flow update');
+    console.log('✓ A changed flow is an update of the matching flow');
+
+    const empty = { flows: [], operations: [], dashboards: [], panels: [], presets: [] };
+    const creates = diffConfig(empty, staging);
+    assertEqual(creates.operations.map(change => change.key), [
+      'Notify on publish: check',
+      'Notify on publish: run_reindex',
+      'Reindex search: index'
+    ], 'Operation keys');
+    assertEqual(creates.presets.map(change => change.key), [
+      'articles: Drafts (role Editor)',
+      'articles: Mine (editor@charlotteudo.org)'
+    ], 'Preset keys');
+    console.log('✓ Operations and presets are keyed by flow and owner');
+
+    console.log('Config diff tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Config diff test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the ID lookup used when applying to the target
+ */
+function testIndexIds() {
+  console.log('\n=== Testing Target ID Lookup ===');
+
+  try {
+    const ids = indexConfigIds(instance('production'));
+
+    assertEqual(ids.flows.get('Reindex search'), 'production-reindex', 'Flow ID');
+    assertEqual(ids.operations.get('Notify on publish: check'), 'production-op-check', 'Operation ID');
+    assertEqual(ids.panels.get('Content: Articles'), 'production-panel', 'Panel ID');
+    assertEqual(ids.presets.get('articles: Mine (editor@charlotteudo.org)'), 2, 'Preset ID');
+    assertEqual(ids.users.get('editor@charlotteudo.org'), 'production-user', 'User ID');
+    assertEqual(ids.roles.get('Editor'), 'production-editor', 'Role ID');
+    console.log('✓ Target IDs, users and roles are found by stable key');
+
+    console.log('ID lookup tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ ID lookup test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * An instance whose operations and panels refer to users and roles by ID
+ */
+function instanceWithRefs(prefix) {
+  const id = name => `${prefix}-${name}`;
+  const raw = instance(prefix);
+  raw.operations.push(
+    {
+      id: id('op-notify'), flow: id('publish'), key: 'notify', type: 'notification', position_x: 55, position_y: 1,
+      options: { recipient: [id('user'), '{{$trigger.user}}'], permissions: id('editor'), subject: 'Published' },
+      resolve: null, reject: null
+    },
+    {
+      id: id('op-read'), flow: id('reindex'), key: 'read', type: 'item-read', position_x: 37, position_y: 1,
+      options: { collection: 'articles', permissions: '$trigger' }, resolve: null, reject: null
+    }
+  );
+  raw.panels[0].options = { collection: 'articles', permissions: id('editor') };
+  return raw;
+}
+
+/**
+ * Test that users and roles in options are matched by email and role name
+ */
+function testOptionRefs() {
+  console.log('\n=== Testing Option References ===');
+
+  try {
+    const staging = instanceWithRefs('staging');
+    const snapshot = normalizeConfig(staging);
+    const notify = snapshot.operations.find(operation => operation.key === 'notify');
+
+    assertEqual(notify.options, { recipient: ['editor@charlotteudo.org', '{{$trigger.user}}'], permissions: 'Editor', subject: 'Published' }, 'Notification options');
+    assertEqual(snapshot.operations.find(operation => operation.key === 'read').options.permissions, '$trigger', 'Special permissions');
+    assertEqual(snapshot.panels[0].options.permissions, 'Editor', 'Panel role');
+    assertEqual(Object.values(diffConfig(normalizeConfig(instanceWithRefs('production')), snapshot)).flat(), [], 'Same references on different IDs');
+    console.log('✓ Recipients and permissions are emails and role names; templates and $ values are kept');
+
+    staging.operations.find(operation => operation.key === 'notify').options.recipient.push('staging-ghost', 'staging-no-email');
+    assertEqual(findUnresolvedRefs(staging), [
+      'operation Notify on publish: notify: user staging-ghost does not exist or has no email',
+      'operation Notify on publish: notify: user staging-no-email does not exist or has no email'
+    ], 'Unresolved IDs');
+    assertEqual(findUnresolvedRefs(instanceWithRefs('staging')), [], 'All resolved');
+    console.log('✓ IDs that match no user with an email are reported');
+
+    const ids = indexConfigIds({ ...instanceWithRefs('production'), users: [], roles: [{ id: 'production-editor', name: 'Editor' }] });
+    const missing = [];
+    const options = mapOptionRefs(notify.options, ids, (kind, value) => {
+      missing.push(`${kind} ${value}`);
+    });
+    assertEqual(options, { recipient: ['{{$trigger.user}}'], permissions: 'production-editor', subject: 'Published' }, 'Target options');
+    assertEqual(missing, ['user editor@charlotteudo.org'], 'Missing on the target');
+    console.log('✓ References are mapped to target IDs, and those the target lacks are left out');
+
+    console.log('Option reference tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Option reference test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all config migration tests
+ */
+function runAllTests() {
+  console.log('Starting Config Migration Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testNormalize,
+    testDiff,
+    testIndexIds,
+    testOptionRefs
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Config Migration Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All config migration tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some config migration tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * Content Copy Tests
+ * Tests for relation ordering, foreign key remapping, upserts and singleton diffs in scripts/lib/content-copy.js
+ */
+
+import { describeCollection, orderCollections, planCollection, diffSingleton, PENDING } from '../lib/content-copy.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const schema = loadJson('local-1760915386721.json');
+
+/**
+ * Test that collections are copied after the collections they point to
+ */
+function testOrder() {
+  console.log('\n=== Testing Relation Order ===');
+
+  try {
+    const ordered = orderCollections(schema, ['supporting_documents', 'articles', 'article_categories']);
+    assertEqual(ordered[0], 'article_categories', 'Categories first');
+    console.log('✓ article_categories is copied before articles and supporting_documents');
+
+    const articles = describeCollection(schema, 'articles');
+    assertEqual(articles.relations.category, 'article_categories', 'Category relation');
+    if (articles.fields.includes('collab_articles') || articles.fields.includes('updated_at')) {
+      throw new Error('Alias or automatic fields are copied');
+    }
+    console.log('✓ Alias and automatic fields are not copied');
+
+    console.log('Relation order tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Relation order test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test upserts by natural key and foreign key remapping
+ */
+function testPlan() {
+  console.log('\n=== Testing Copy Plan ===');
+
+  try {
+    const idMaps = new Map();
+    const categories = planCollection({
+      info: describeCollection(schema, 'article_categories'),
+      key: 'slug',
+      sourceItems: [
+        { id: 'local-zoning', name: 'Zoning', slug: 'zoning' },
+        { id: 'local-signs', name: 'Signs', slug: 'signs' }
+      ],
+      targetItems: [{ id: 'prod-zoning', name: 'Zoning', slug: 'zoning' }],
+      idMaps
+    });
+
+    assertEqual(categories.changes.map(change => change.action), ['unchanged', 'create'], 'Category actions');
+    assertEqual(categories.changes[1].data.id, undefined, 'Primary key is not copied');
+    console.log('✓ Items are matched by natural key, new ones are created');
+
+    const articles = planCollection({
+      info: describeCollection(schema, 'articles'),
+      key: 'slug',
+      sourceItems: [
+        { id: 'a1', slug: 'intro', name: 'Intro', content: 'New text', category: 'local-zoning' },
+        { id: 'a2', slug: 'banners', name: 'Banners', content: 'Text', category: 'local-signs' }
+      ],
+      targetItems: [{ id: 'p1', slug: 'intro', name: 'Intro', content: 'Old text', category: 'prod-zoning' }],
+      idMaps
+    });
+
+    assertEqual(articles.changes[0].action, 'update', 'Existing article');
+    assertEqual(articles.changes[0].fields, ['content'], 'Only changed fields');
+    assertEqual(articles.changes[0].targetId, 'p1', 'Target ID');
+    console.log('✓ Existing items are updated with only the changed fields');
+
+    assertEqual(articles.changes[1].data.category, PENDING, 'Category still to be created');
+    console.log('✓ Foreign keys are remapped to target IDs');
+
+    console.log('Copy plan tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Copy plan test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that duplicate natural keys are refused
+ */
+function testDuplicateKeys() {
+  console.log('\n=== Testing Duplicate Natural Keys ===');
+
+  try {
+    try {
+      planCollection({
+        info: describeCollection(schema, 'definitions'),
+        key: 'term',
+        sourceItems: [{ id: 1, term: 'Lot' }, { id: 2, term: 'Lot' }],
+        targetItems: [],
+        idMaps: new Map()
+      });
+    } catch (error) {
+      if (!error.message.includes('"Lot"')) {
+        throw error;
+      }
+      console.log('✓ Two items with the same natural key are refused');
+      console.log('Duplicate key tests passed');
+      return true;
+    }
+
+    throw new Error('Duplicate terms were accepted');
+  } catch (error) {
+    console.error('❌ Duplicate key test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that singletons are detected and diffed field by field
+ */
+function testSingleton() {
+  console.log('\n=== Testing Singleton Diff ===');
+
+  try {
+    const homePage = describeCollection(schema, 'home_page');
+    assertEqual(homePage.singleton, true, 'home_page is a singleton');
+    assertEqual(describeCollection(schema, 'global_settings').singleton, true, 'global_settings is a singleton');
+    assertEqual(describeCollection(schema, 'articles').singleton, false, 'articles is not a singleton');
+    console.log('✓ Singletons are detected from collection metadata');
+
+    const changes = diffSingleton(
+      homePage,
+      { id: 1, header_text: 'Welcome', header_buttons: [{ label: 'Start' }], faqs: [] },
+      { id: 7, header_text: 'Hello', header_buttons: [{ label: 'Start' }], faqs: [], updates: [{ title: 'Old' }] }
+    );
+    assertEqual(changes, [{ field: 'header_text', from: 'Hello', to: 'Welcome' }], 'Changed fields');
+    console.log('✓ Only changed fields are listed, never the primary key or fields the source lacks');
+
+    const empty = diffSingleton(homePage, { id: 1, header_text: 'Welcome' }, null);
+    assertEqual(empty, [{ field: 'header_text', from: null, to: 'Welcome' }], 'Empty target');
+    console.log('✓ A target without data gets every source field');
+
+    console.log('Singleton diff tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Singleton diff test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all content copy tests
+ */
+function runAllTests() {
+  console.log('Starting Content Copy Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testOrder,
+    testPlan,
+    testDuplicateKeys,
+    testSingleton
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Content Copy Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All content copy tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some content copy tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
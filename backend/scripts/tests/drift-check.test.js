@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Schema Drift Report Tests
+ * Tests for scripts/lib/drift.js against the saved snapshots
+ */
+
+import { createDriftReport, createErrorReport, diffDrift, DRIFT_EXIT_CODES } from '../lib/drift.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+function loadSide(file) {
+  return { name: file, kind: 'file', location: file, snapshot: loadJson(file) };
+}
+
+/**
+ * Test that identical schemas report a match
+ */
+function testMatch() {
+  console.log('\n=== Testing Matching Schemas ===');
+
+  try {
+    const production = loadSide('production-1760915387021.json');
+    const report = createDriftReport(production, production, diffDrift(production, production));
+
+    assertEqual(report.status, 'match', 'Status');
+    assertEqual(report.summary.total, 0, 'Total changes');
+    assertEqual(report.expected.hash, report.actual.hash, 'Hashes');
+    assertEqual(DRIFT_EXIT_CODES[report.status], 0, 'Exit code');
+    console.log('✓ Identical snapshots report a match with exit code 0');
+
+    console.log('Matching schema tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Matching schema test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that drift between local and production is reported in full
+ */
+function testDrift() {
+  console.log('\n=== Testing Schema Drift ===');
+
+  try {
+    const local = loadSide('local-1760915386721.json');
+    const production = loadSide('production-1760915387021.json');
+    const report = createDriftReport(local, production, diffDrift(local, production));
+
+    assertEqual(report.status, 'drift', 'Status');
+    assertEqual(DRIFT_EXIT_CODES[report.status], 1, 'Exit code');
+    assertEqual(report.summary.total, 83, 'Total changes');
+    assertEqual(report.changes.length, 83, 'Listed changes');
+    console.log('✓ Local vs production drift lists every change with exit code 1');
+
+    if (report.changes.some(change => change.name === 'pages.collab_pages')) {
+      throw new Error('Ignored collaborative-editing field reported as drift');
+    }
+    console.log('✓ Ignored fields are not drift');
+
+    const content = report.changes.find(change => change.name === 'articles.content');
+    if (!content || content.action !== 'update' || content.paths.length === 0) {
+      throw new Error('articles.content update has no changed paths');
+    }
+    console.log('✓ Updates list the changed paths');
+
+    const filtered = createDriftReport(local, production, diffDrift(local, production, { only: ['articles'] }));
+    if (filtered.changes.some(change => !change.name.startsWith('articles'))) {
+      throw new Error('--only articles reported other collections');
+    }
+    console.log('✓ --only limits the report');
+
+    console.log('Schema drift tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Schema drift test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the error report
+ */
+function testErrorReport() {
+  console.log('\n=== Testing Error Report ===');
+
+  try {
+    const report = createErrorReport(new Error('fetch failed'));
+
+    assertEqual(report.status, 'error', 'Status');
+    assertEqual(report.error, 'fetch failed', 'Error message');
+    assertEqual(DRIFT_EXIT_CODES[report.status], 2, 'Exit code');
+    console.log('✓ Errors report exit code 2');
+
+    console.log('Error report tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Error report test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all drift report tests
+ */
+function runAllTests() {
+  console.log('Starting Schema Drift Report Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testMatch,
+    testDrift,
+    testErrorReport
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Schema Drift Report Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All schema drift report tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some schema drift report tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
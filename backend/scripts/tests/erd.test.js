@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * ERD Tests
+ * Tests for the data model, diagrams and data dictionary in scripts/lib/erd.js
+ */
+
+import { describeModel, renderMermaid, renderDot, renderDataDictionary } from '../lib/erd.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const schema = loadJson('local-1760915386721.json');
+
+function assertIncludes(text, expected, message) {
+  if (!text.includes(expected)) {
+    throw new Error(`${message}: "${expected}" not found`);
+  }
+}
+
+/**
+ * Test the model built from a snapshot
+ */
+function testModel() {
+  console.log('\n=== Testing Data Model ===');
+
+  try {
+    const model = describeModel(schema);
+
+    if (model.collections.some(collection => collection.name.startsWith('directus_'))) {
+      throw new Error('System collections are listed with their fields');
+    }
+    assertEqual(model.system, ['directus_files', 'directus_users'], 'Related system collections');
+    console.log('✓ System collections only appear as relation targets');
+
+    const relation = model.relations.find(item => item.collection === 'articles' && item.field === 'category');
+    assertEqual(relation, { collection: 'articles', field: 'category', related: 'article_categories', nullable: true }, 'articles.category');
+    console.log('✓ articles.category points to article_categories');
+
+    const filtered = describeModel(schema, collection => collection !== 'article_categories');
+    if (filtered.relations.some(item => item.related === 'article_categories')) {
+      throw new Error('Relations to left out collections are kept');
+    }
+    console.log('✓ Relations to left out collections are dropped');
+
+    console.log('Data model tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Data model test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the Mermaid, DOT and Markdown output
+ */
+function testRender() {
+  console.log('\n=== Testing Rendering ===');
+
+  try {
+    const model = describeModel(schema);
+
+    const mermaid = renderMermaid(model);
+    assertIncludes(mermaid, 'erDiagram', 'Mermaid header');
+    assertIncludes(mermaid, '        uuid category FK', 'Foreign key column');
+    assertIncludes(mermaid, '    directus_files |o--o{ supporting_documents : "file"', 'File relation');
+    if (mermaid.includes('collab_articles')) {
+      throw new Error('Alias fields are drawn as columns');
+    }
+    console.log('✓ Mermaid lists columns with keys and relations with cardinality');
+
+    const dot = renderDot(model);
+    assertIncludes(dot, '"supporting_documents" -> "directus_files" [label="file", style=dashed];', 'DOT edge');
+    assertIncludes(dot, '"directus_files" [label="directus_files", style=dashed];', 'DOT system node');
+    console.log('✓ DOT has a record per collection and an edge per relation');
+
+    const dictionary = renderDataDictionary(model, { source: 'local.json', directus: '11.12.0', vendor: 'postgres' });
+    assertIncludes(dictionary, 'Generated from `local.json` (Directus 11.12.0, postgres).', 'Source');
+    assertIncludes(dictionary, '| `category` | uuid | yes | `select-dropdown-m2o` | → `article_categories` |  |', 'Field row');
+    assertIncludes(dictionary, '| `view_pdf` | alias (no column) |  |', 'Alias row');
+    assertIncludes(dictionary, '```mermaid\nerDiagram', 'Embedded diagram');
+    console.log('✓ The data dictionary lists type, nullability, interface and relation');
+
+    console.log('Rendering tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Rendering test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all ERD tests
+ */
+function runAllTests() {
+  console.log('Starting ERD Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testModel,
+    testRender
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== ERD Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All ERD tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some ERD tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
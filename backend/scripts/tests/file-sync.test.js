@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * File Sync Tests
+ * Tests for file references, checksum comparison and folders in scripts/lib/file-sync.js
+ */
+
+import { findFileFields, collectFileReferences, planFileSync, missingFolders } from '../lib/file-sync.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const schema = loadJson('local-1760915386721.json');
+
+function file(id, filesize, extra = {}) {
+  return { id, filesize, filename_download: `${id}.pdf`, type: 'application/pdf', folder: null, ...extra };
+}
+
+/**
+ * Test that file fields and the items referencing files are found
+ */
+function testReferences() {
+  console.log('\n=== Testing File References ===');
+
+  try {
+    const all = findFileFields(schema).map(item => `${item.collection}.${item.field}`);
+    for (const field of ['articles.PDF', 'supporting_documents.file', 'global_settings.logo', 'settings.image']) {
+      if (!all.includes(field)) {
+        throw new Error(`${field} is not found`);
+      }
+    }
+    console.log('✓ Every field pointing to directus_files is found');
+
+    const fileFields = findFileFields(schema, ['articles', 'global_settings']);
+    assertEqual(fileFields.map(item => item.collection), ['articles', 'global_settings'], 'Selected collections');
+
+    const references = collectFileReferences(new Map([
+      ['articles', [{ id: 1, PDF: 'a' }, { id: 2, PDF: null }, { id: 3, PDF: 'a' }]],
+      ['global_settings', [{ id: 1, logo: 'b' }]]
+    ]), fileFields);
+    assertEqual([...references], [['a', ['articles 1.PDF', 'articles 3.PDF']], ['b', ['global_settings 1.logo']]], 'References');
+    console.log('✓ Each file lists the items referencing it');
+
+    console.log('File reference tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ File reference test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test upload, replace, update and orphan detection
+ */
+function testPlan() {
+  console.log('\n=== Testing File Sync Plan ===');
+
+  try {
+    const references = new Map(['new', 'resized', 'edited', 'renamed', 'same', 'gone'].map(id => [id, [`articles ${id}.PDF`]]));
+    const plan = planFileSync({
+      references,
+      sourceFiles: [file('new', 10), file('resized', 20), file('edited', 30), file('renamed', 40, { title: 'Report' }), file('same', 50)],
+      targetFiles: [file('resized', 25), file('edited', 30), file('renamed', 40), file('same', 50)],
+      checksums: {
+        source: new Map([['edited', 'x'], ['renamed', 'r'], ['same', 's']]),
+        target: new Map([['edited', 'y'], ['renamed', 'r'], ['same', 's']])
+      }
+    });
+
+    const actions = Object.fromEntries(plan.changes.map(change => [change.id, change.action]));
+    assertEqual(actions, { edited: 'replace', new: 'upload', renamed: 'update', resized: 'replace', same: 'unchanged' }, 'Actions');
+    console.log('✓ Missing files are uploaded, changed content is replaced by size or checksum');
+    console.log('✓ Metadata-only changes are updates and identical files are left alone');
+
+    assertEqual(plan.orphaned, [{ id: 'gone', references: ['articles gone.PDF'] }], 'Orphaned');
+    console.log('✓ References to files missing on the source are reported as orphaned');
+
+    console.log('File sync plan tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ File sync plan test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that missing folders are created parents first
+ */
+function testFolders() {
+  console.log('\n=== Testing Folders ===');
+
+  try {
+    const sourceFolders = [
+      { id: 'docs', name: 'Documents', parent: null },
+      { id: 'reports', name: 'Reports', parent: 'docs' },
+      { id: 'logos', name: 'Logos', parent: null }
+    ];
+
+    const folders = missingFolders(['reports', 'logos'], sourceFolders, [{ id: 'logos', name: 'Logos', parent: null }]);
+    assertEqual(folders.map(folder => folder.id), ['docs', 'reports'], 'Missing folders');
+    console.log('✓ Missing folders keep their IDs and are created parents first');
+
+    console.log('Folder tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Folder test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all file sync tests
+ */
+function runAllTests() {
+  console.log('Starting File Sync Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testReferences,
+    testPlan,
+    testFolders
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== File Sync Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All file sync tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some file sync tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
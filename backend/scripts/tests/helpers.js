@@ -0,0 +1,23 @@
+/**
+ * Helpers shared by the test files: the saved snapshots and diffs in
+ * schema-snapshots/ used as fixtures, and assertions
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SNAPSHOT_DIR = path.join(__dirname, '../../schema-snapshots');
+
+export function loadJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, file), 'utf8'));
+}
+
+export function assertEqual(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Data Impact Tests
+ * Tests for counting the data a schema diff drops or converts in scripts/lib/impact.js
+ */
+
+import { analyzeImpact, summarizeImpact } from '../lib/impact.js';
+import { assertEqual } from './helpers.js';
+
+const diff = {
+  hash: 'test',
+  diff: {
+    collections: [
+      { collection: 'ai_prompts', diff: [{ kind: 'D', lhs: { collection: 'ai_prompts' } }] }
+    ],
+    fields: [
+      { collection: 'articles', field: 'subtitle', diff: [{ kind: 'D', lhs: { type: 'string' } }] },
+      { collection: 'pages', field: 'collab_pages', diff: [{ kind: 'D', lhs: { type: 'alias' } }] },
+      { collection: 'articles', field: 'views', diff: [{ kind: 'E', path: ['type'], lhs: 'string', rhs: 'integer' }] },
+      { collection: 'legacy', field: 'body', diff: [{ kind: 'D', lhs: { type: 'text' } }] }
+    ],
+    relations: []
+  }
+};
+
+/**
+ * A client answering aggregate counts the way Directus does: `count` for
+ * `count: '*'`, `count.<field>` for a field. Collections it does not know fail.
+ */
+function createStubClient(counts) {
+  const requests = [];
+
+  const request = async command => {
+    const { path, params } = command();
+    const collection = path.split('/').pop();
+    const field = params.aggregate.count;
+    requests.push(field === '*' ? collection : `${collection}.${field}`);
+
+    if (!(collection in counts)) {
+      throw new Error(`You don't have permission to access collection "${collection}"`);
+    }
+    const count = field === '*' ? counts[collection]['*'] : counts[collection][field];
+    // Directus returns counts as strings on postgres
+    return [{ count: field === '*' ? String(count) : { [field]: String(count) } }];
+  };
+
+  return { request, requests };
+}
+
+/**
+ * Test the counts for each kind of destructive change
+ */
+async function testAnalyzeImpact() {
+  console.log('\n=== Testing Impact Analysis ===');
+
+  try {
+    const client = createStubClient({
+      ai_prompts: { '*': 12 },
+      articles: { subtitle: 40, views: 0 }
+    });
+    const impacts = await analyzeImpact(client, diff);
+    const byName = Object.fromEntries(impacts.map(impact => [impact.change.name, impact]));
+
+    assertEqual([byName.ai_prompts.count, byName.ai_prompts.message], [12, 'ai_prompts: 12 rows will be dropped'], 'Collection delete');
+    assertEqual([byName['articles.subtitle'].count, byName['articles.subtitle'].message],
+      [40, 'articles.subtitle: 40 non-null values will be dropped'], 'Field delete');
+    assertEqual(byName['articles.views'].message, 'articles.views: 0 non-null values need conversion (string → integer)', 'Type change');
+    console.log('✓ Collection deletes count rows, field deletes and type changes count values');
+
+    assertEqual([byName['pages.collab_pages'].count, byName['pages.collab_pages'].message],
+      [0, 'pages.collab_pages: alias field, no stored data'], 'Alias field');
+    if (client.requests.includes('pages.collab_pages')) {
+      throw new Error('Alias field was counted on the instance');
+    }
+    assertEqual(client.requests, ['ai_prompts', 'articles.subtitle', 'articles.views', 'legacy.body'], 'Requests');
+    console.log('✓ Alias fields are not counted');
+
+    const failed = byName['legacy.body'];
+    assertEqual(failed.count, null, 'Failed count');
+    if (!failed.message.startsWith('legacy.body: unable to count affected data (You don\'t have permission')) {
+      throw new Error(`Unexpected message for a failed count: ${failed.message}`);
+    }
+    console.log('✓ A count that fails is reported with a null count instead of failing the review');
+
+    console.log('Impact analysis tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Impact analysis test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the totals shown at the confirmation prompt
+ */
+async function testSummarizeImpact() {
+  console.log('\n=== Testing Impact Summary ===');
+
+  try {
+    const impacts = await analyzeImpact(createStubClient({ ai_prompts: { '*': 12 }, articles: { subtitle: 40, views: 3 } }), diff);
+
+    assertEqual(summarizeImpact(impacts), { affected: 55, unknown: 1 }, 'Summary');
+    assertEqual(summarizeImpact([]), { affected: 0, unknown: 0 }, 'Empty summary');
+    console.log('✓ Affected rows and values are totalled; failed counts are reported as unknown');
+
+    console.log('Impact summary tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Impact summary test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all data impact tests
+ */
+async function runAllTests() {
+  console.log('Starting Data Impact Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testAnalyzeImpact,
+    testSummarizeImpact
+  ];
+
+  for (const test of tests) {
+    total++;
+    if (await test()) {
+      passed++;
+    }
+  }
+
+  // Summary
+  console.log('\n=== Data Impact Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All data impact tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some data impact tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Migration Ledger Tests
+ * Tests for recording migrations and refusing stale or repeated diffs in scripts/lib/ledger.js
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { checkApplicable, readLedger, recordMigration } from '../lib/ledger.js';
+import { assertEqual } from './helpers.js';
+
+const entry = {
+  kind: 'migration',
+  source: 'local',
+  target: 'production',
+  diffHash: 'diff-1',
+  sourceSnapshotHash: 'local-1',
+  targetSnapshotHash: 'production-1',
+  operator: 'ana@build-01'
+};
+
+/**
+ * Test that entries are appended one per line and read back
+ */
+function testRecord() {
+  console.log('\n=== Testing Ledger Records ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  const ledgerPath = path.join(dir, 'migration-ledger.jsonl');
+
+  try {
+    assertEqual(readLedger(ledgerPath), [], 'Missing ledger');
+
+    recordMigration({ ...entry, outcome: 'failed', error: 'connection reset' }, ledgerPath);
+    const applied = recordMigration({ ...entry, outcome: 'applied' }, ledgerPath);
+
+    assertEqual(fs.readFileSync(ledgerPath, 'utf8').trim().split('\n').length, 2, 'Lines');
+    assertEqual(readLedger(ledgerPath).map(record => [record.outcome, record.error]),
+      [['failed', 'connection reset'], ['applied', null]], 'Entries');
+    if (!applied.timestamp) {
+      throw new Error('Entry recorded without a timestamp');
+    }
+    console.log('✓ Attempts are appended with a timestamp and read back in order');
+
+    console.log('Ledger record tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Ledger record test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test when a diff may be applied
+ */
+function testCheckApplicable() {
+  console.log('\n=== Testing Applicability ===');
+
+  try {
+    const stale = checkApplicable(entry, 'production-2', []);
+    assertEqual(stale, 'production schema has changed since this diff was computed (expected production-1, found production-2)', 'Stale hash');
+    console.log('✓ A diff computed against another target schema is refused');
+
+    const applied = { ...entry, outcome: 'applied', timestamp: '2025-10-19T14:30:00.000Z' };
+    assertEqual(checkApplicable(entry, 'production-1', [applied]),
+      'this diff was already applied to production by ana@build-01 at 2025-10-19T14:30:00.000Z', 'Repeated diff');
+    console.log('✓ A diff already applied to the same target schema is refused');
+
+    const failed = { ...entry, outcome: 'failed', error: 'connection reset' };
+    const blocked = { ...entry, outcome: 'blocked', error: 'schema changed' };
+    assertEqual(checkApplicable(entry, 'production-1', [failed, blocked]), null, 'Retry after a failure');
+    console.log('✓ A diff whose earlier attempt failed may be retried');
+
+    const rollback = { ...entry, kind: 'rollback', diffHash: 'rollback-1', targetSnapshotHash: 'production-2', outcome: 'applied' };
+    assertEqual(checkApplicable(entry, 'production-1', [applied, rollback]), null, 'Re-apply after a rollback');
+    assertEqual(checkApplicable(entry, 'production-1', [applied, { ...rollback, outcome: 'failed' }]),
+      'this diff was already applied to production by ana@build-01 at 2025-10-19T14:30:00.000Z', 'Failed rollback');
+    assertEqual(checkApplicable(entry, 'production-1', [applied, { ...rollback, target: 'staging' }]),
+      'this diff was already applied to production by ana@build-01 at 2025-10-19T14:30:00.000Z', 'Rollback of another target');
+    assertEqual(checkApplicable(entry, 'production-1', [applied, rollback, { ...applied, timestamp: '2025-10-19T15:00:00.000Z' }]),
+      'this diff was already applied to production by ana@build-01 at 2025-10-19T15:00:00.000Z', 'Re-applied after a rollback');
+    console.log('✓ A diff may be applied again after the target was rolled back to the same schema');
+
+    assertEqual(checkApplicable(entry, 'production-1', [{ ...applied, target: 'staging' }]), null, 'Other target');
+    assertEqual(checkApplicable(entry, 'production-1', [{ ...applied, diffHash: 'diff-2' }]), null, 'Other diff');
+    console.log('✓ The same diff applied to another target, or another diff, does not block');
+
+    console.log('Applicability tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Applicability test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all migration ledger tests
+ */
+function runAllTests() {
+  console.log('Starting Migration Ledger Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testRecord,
+    testCheckApplicable
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Migration Ledger Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All migration ledger tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some migration ledger tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
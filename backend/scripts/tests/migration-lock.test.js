@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * Migration Lock Tests
+ * Tests for the advisory lock held on a target during migrations (scripts/lib/lock.js, lock-api.js)
+ */
+
+import { LOCK_COLLECTION, createLock, renewLock, releaseLock, isExpired, describeLock, decideLock } from '../lib/lock.js';
+import { ensureLockCollection, acquireLock, readLock } from '../lib/lock-api.js';
+import { loadIgnoreRules, collectionIgnoredBy } from '../lib/ignore.js';
+import { assertEqual } from './helpers.js';
+
+const acquiredAt = new Date('2025-10-19T14:30:00.000Z');
+const minutes = count => new Date(acquiredAt.getTime() + count * 60 * 1000);
+
+/**
+ * Test the lock record and its expiry
+ */
+function testLock() {
+  console.log('\n=== Testing Lock ===');
+
+  const operator = process.env.MIGRATION_OPERATOR;
+  process.env.MIGRATION_OPERATOR = 'ana@build-01';
+
+  try {
+    const lock = createLock({ operation: 'schema migration local → production', timeoutMinutes: 10, now: acquiredAt });
+
+    assertEqual([lock.holder, lock.pid, lock.acquiredAt, lock.expiresAt],
+      ['ana@build-01', process.pid, '2025-10-19T14:30:00.000Z', '2025-10-19T14:40:00.000Z'], 'Lock record');
+    if (createLock({ operation: 'x' }).token === lock.token) {
+      throw new Error('Locks share a token');
+    }
+    assertEqual(describeLock(lock), 'schema migration local → production in progress by ana@build-01 since 2025-10-19T14:30:00.000Z', 'Message');
+    console.log('✓ Locks record the holder, operation and start time');
+
+    assertEqual([isExpired(lock, minutes(9)), isExpired(lock, minutes(10))], [false, true], 'Expiry');
+    const renewed = renewLock(lock, 10, minutes(8));
+    assertEqual([renewed.token, renewed.acquiredAt, isExpired(renewed, minutes(15))], [lock.token, lock.acquiredAt, false], 'Renewed lock');
+    console.log('✓ Locks expire after the timeout unless renewed');
+
+    console.log('Lock tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Lock test failed:', error.message);
+    return false;
+  } finally {
+    if (operator === undefined) {
+      delete process.env.MIGRATION_OPERATOR;
+    } else {
+      process.env.MIGRATION_OPERATOR = operator;
+    }
+  }
+}
+
+/**
+ * Test when a lock may be taken
+ */
+function testDecisions() {
+  console.log('\n=== Testing Lock Decisions ===');
+
+  try {
+    const held = createLock({ operation: 'content copy local → production', timeoutMinutes: 15, now: acquiredAt });
+
+    assertEqual(decideLock(null), 'acquire', 'Free lock');
+    assertEqual(decideLock(releaseLock(held, minutes(5)), { now: minutes(5) }), 'acquire', 'Released lock');
+    assertEqual(decideLock(held, { now: minutes(5) }), 'blocked', 'Held lock');
+    assertEqual(decideLock(held, { breakLock: true, now: minutes(5) }), 'break', 'Broken lock');
+    assertEqual(decideLock(held, { now: minutes(20) }), 'expired', 'Expired lock');
+    console.log('✓ A live lock blocks unless broken; an expired one is taken over');
+
+    assertEqual(collectionIgnoredBy(LOCK_COLLECTION, loadIgnoreRules()), 'migration-lock', 'Ignored lock collection');
+    console.log('✓ The lock collection is ignored by schema migrations');
+
+    console.log('Lock decision tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Lock decision test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * A Directus client keeping the lock collection in memory. Every request
+ * yields first, so concurrent acquirers interleave their reads and writes.
+ */
+function createFakeClient() {
+  const rows = new Map();
+  let created = false;
+
+  const request = async command => {
+    await new Promise(resolve => setImmediate(resolve));
+    const { path: route, method, params, body } = command();
+    const data = body && JSON.parse(body);
+
+    if (route === `/collections/${LOCK_COLLECTION}`) {
+      if (!created) throw new Error('Collection not found');
+      return { collection: LOCK_COLLECTION };
+    }
+    if (route === '/collections') {
+      if (created) throw new Error('Collection already exists');
+      created = true;
+      return data;
+    }
+
+    const key = Number(route.split('/')[3]);
+    if (method === 'GET') {
+      return [...rows.values()].sort((a, b) => b.generation - a.generation).slice(0, params.limit);
+    }
+    if (method === 'POST') {
+      if (rows.has(data.generation)) {
+        throw { errors: [{ message: 'Value for field "generation" has to be unique.', extensions: { code: 'RECORD_NOT_UNIQUE' } }] };
+      }
+      rows.set(data.generation, data);
+      return data;
+    }
+    if (method === 'PATCH') {
+      rows.set(key, { ...rows.get(key), ...data });
+      return rows.get(key);
+    }
+    if (method === 'DELETE') {
+      for (const generation of rows.keys()) {
+        if (generation <= data.query.filter.generation._lte) rows.delete(generation);
+      }
+      return null;
+    }
+    throw new Error(`Unexpected request ${method} ${route}`);
+  };
+
+  return { request, rows };
+}
+
+/**
+ * Test taking the lock on a fake instance
+ */
+async function testAcquire() {
+  console.log('\n=== Testing Acquire ===');
+
+  const target = { name: 'production' };
+  const handles = [];
+
+  try {
+    const client = createFakeClient();
+    // With the collection in place both runs take the same steps in lockstep
+    await ensureLockCollection(client);
+    const results = await Promise.allSettled([
+      acquireLock(client, target, { operation: 'schema migration local → production' }),
+      acquireLock(client, target, { operation: 'content copy local → production' })
+    ]);
+    handles.push(...results.filter(result => result.status === 'fulfilled').map(result => result.value));
+
+    assertEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected'], 'Concurrent acquirers');
+    const loser = results.find(result => result.status === 'rejected').reason.message;
+    if (!loser.includes('it took the lock first')) {
+      throw new Error(`Unexpected error for the second acquirer: ${loser}`);
+    }
+    assertEqual(client.rows.size, 1, 'Lock rows');
+    console.log('✓ Of two runs acquiring at once, exactly one gets the lock');
+
+    await assertRejects(acquireLock(client, target, { operation: 'file sync' }), 'in progress by', 'Held lock');
+    await handles.pop().release();
+    assertEqual(Boolean((await readLock(client)).lock.releasedAt), true, 'Released');
+    handles.push(await acquireLock(client, target, { operation: 'file sync' }));
+    assertEqual((await readLock(client)).generation, 2, 'Next generation');
+    console.log('✓ A held lock blocks until released, then the next run takes it');
+
+    handles.push(await acquireLock(client, target, { operation: 'schema apply', breakLock: true }));
+    client.rows.set(3, { ...client.rows.get(3), lock: { ...client.rows.get(3).lock, expiresAt: new Date(0).toISOString() } });
+    handles.push(await acquireLock(client, target, { operation: 'schema rollback' }));
+    assertEqual((await readLock(client)).lock.operation, 'schema rollback', 'Expired lock taken over');
+    console.log('✓ --break-lock and an expired lock let the next run in');
+
+    console.log('Acquire tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Acquire test failed:', error.message);
+    return false;
+  } finally {
+    await Promise.all(handles.map(handle => handle.release()));
+  }
+}
+
+async function assertRejects(promise, text, message) {
+  const error = await promise.then(() => null, error => error);
+  if (!error?.message.includes(text)) {
+    throw new Error(`${message}: expected an error with "${text}", got ${error ? error.message : 'none'}`);
+  }
+}
+
+/**
+ * Run all migration lock tests
+ */
+async function runAllTests() {
+  console.log('Starting Migration Lock Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testLock,
+    testDecisions,
+    testAcquire
+  ];
+
+  for (const test of tests) {
+    total++;
+    if (await test()) {
+      passed++;
+    }
+  }
+
+  // Summary
+  console.log('\n=== Migration Lock Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All migration lock tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some migration lock tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
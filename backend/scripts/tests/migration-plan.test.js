@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Migration Plan Tests
+ * Tests for writing and verifying reviewed schema migration plans in scripts/lib/plan.js
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { createPlan, loadPlan, savePlan } from '../lib/plan.js';
+import { hashContent } from '../lib/hash.js';
+import { filterDiff } from '../lib/schema-diff.js';
+import { assertEqual, loadJson, SNAPSHOT_DIR } from './helpers.js';
+
+function planFor(diff, filters) {
+  return createPlan({
+    source: { name: 'local' },
+    target: { name: 'production', url: 'https://cms.example.org' },
+    sourceSnapshot: loadJson('local-1760915386721.json'),
+    targetSnapshot: loadJson('production-1760915387021.json'),
+    diff,
+    filters
+  });
+}
+
+/**
+ * Test that a saved plan loads back unchanged
+ */
+function testRoundTrip() {
+  console.log('\n=== Testing Plan Round Trip ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plans-'));
+
+  try {
+    const filters = { only: ['video_embeds'], exclude: [] };
+    const diff = filterDiff(loadJson('diff-1760915387520.json'), filters);
+    const plan = planFor(diff, filters);
+    const planPath = savePlan(plan, path.join(dir, 'plan.json'));
+
+    const loaded = loadPlan(planPath);
+    assertEqual(loaded.planPath, planPath, 'Plan path');
+    assertEqual(loaded.plan, plan, 'Loaded plan');
+    assertEqual([loaded.plan.source, loaded.plan.target, loaded.plan.directus], ['local', 'production', '11.12.0'], 'Plan header');
+    assertEqual([loaded.plan.diffHash, loaded.plan.targetSnapshotHash],
+      [hashContent(diff), hashContent(loadJson('production-1760915387021.json'))], 'Plan hashes');
+    console.log('✓ A saved plan loads back with its diff, filters and hashes');
+
+    console.log('Round trip tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Round trip test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that edited or foreign files are refused
+ */
+function testTamper() {
+  console.log('\n=== Testing Plan Tampering ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plans-'));
+
+  const expectError = (file, text, message) => {
+    try {
+      loadPlan(file);
+    } catch (error) {
+      if (error.message.includes(text)) return;
+      throw new Error(`${message}: expected an error with "${text}", got "${error.message}"`);
+    }
+    throw new Error(`${message}: the plan was loaded`);
+  };
+
+  try {
+    const planPath = savePlan(planFor(loadJson('diff-1760915387520.json')), path.join(dir, 'plan.json'));
+
+    // Drop a collection delete from the reviewed diff
+    const edited = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+    edited.diff.diff.collections.pop();
+    fs.writeFileSync(planPath, JSON.stringify(edited, null, 2));
+    expectError(planPath, 'has been modified since it was planned (diff hash mismatch)', 'Edited diff');
+    console.log('✓ A plan whose diff was edited after review is refused');
+
+    const snapshotPath = path.join(dir, 'snapshot.json');
+    fs.copyFileSync(path.join(SNAPSHOT_DIR, 'local-1760915386721.json'), snapshotPath);
+    expectError(snapshotPath, 'is not a schema migration plan', 'Snapshot');
+    expectError(path.join(dir, 'missing.json'), 'Plan not found', 'Missing plan');
+    console.log('✓ Files that are not plans, and missing plans, are refused');
+
+    console.log('Tamper tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Tamper test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run all migration plan tests
+ */
+function runAllTests() {
+  console.log('Starting Migration Plan Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testRoundTrip,
+    testTamper
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Migration Plan Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All migration plan tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some migration plan tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Migration Policy Tests
+ * Tests for the destructive-change policy gate in scripts/lib/policy.js
+ */
+
+import { evaluatePolicy, findDestructiveChanges, loadPolicy } from '../lib/policy.js';
+import { loadJson } from './helpers.js';
+
+function fieldDiff(collection, field, records) {
+  return { hash: 'test', diff: { collections: [], fields: [{ collection, field, diff: records }], relations: [] } };
+}
+
+/**
+ * Test that the committed policy blocks deleting the pages collection
+ */
+function testProtectedCollectionDelete() {
+  console.log('\n=== Testing Protected Collection Delete ===');
+
+  try {
+    const { violations } = evaluatePolicy(loadJson('diff-1760910940224.json'), loadPolicy());
+
+    if (!violations.some(change => change.type === 'collection' && change.name === 'pages')) {
+      throw new Error('Delete of the pages collection was not blocked');
+    }
+    console.log('✓ Deleting the pages collection is blocked');
+
+    console.log('Protected collection tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Protected collection test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that collaborative-editing alias fields may be deleted
+ */
+function testAllowedAliasDelete() {
+  console.log('\n=== Testing Allowed Alias Field Delete ===');
+
+  try {
+    const { allowed, violations } = evaluatePolicy(loadJson('diff-1760915387520.json'), loadPolicy());
+
+    if (!allowed.some(change => change.name === 'pages.collab_pages')) {
+      throw new Error('Delete of pages.collab_pages was not allowed');
+    }
+    if (violations.some(change => change.name === 'pages.collab_pages')) {
+      throw new Error('Delete of pages.collab_pages was blocked');
+    }
+    console.log('✓ Deleting collab_* alias fields is allowed');
+
+    console.log('Allowed alias field tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Allowed alias field test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test type change detection and field-level protection of a collection
+ */
+function testTypeChangeAndFieldProtection() {
+  console.log('\n=== Testing Type Changes and Field Protection ===');
+
+  try {
+    const policy = {
+      default: 'allow',
+      rules: [{ match: 'articles.content', allow: false, reason: 'Article body' }]
+    };
+
+    const typeChange = fieldDiff('articles', 'content', [{ kind: 'E', path: ['type'], lhs: 'text', rhs: 'json' }]);
+    const [change] = findDestructiveChanges(typeChange);
+    if (!change || change.operation !== 'type-change' || change.from !== 'text' || change.to !== 'json') {
+      throw new Error('Type change of articles.content was not detected');
+    }
+    if (evaluatePolicy(typeChange, policy).violations.length !== 1) {
+      throw new Error('Type change of a protected field was not blocked');
+    }
+    console.log('✓ Type changes of protected fields are blocked');
+
+    const collectionDelete = {
+      hash: 'test',
+      diff: { collections: [{ collection: 'articles', diff: [{ kind: 'D', lhs: {} }] }], fields: [], relations: [] }
+    };
+    if (evaluatePolicy(collectionDelete, policy).violations.length !== 1) {
+      throw new Error('Deleting the collection of a protected field was not blocked');
+    }
+    console.log('✓ Protecting a field also protects its collection');
+
+    console.log('Type change and field protection tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Type change and field protection test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all migration policy tests
+ */
+function runAllTests() {
+  console.log('Starting Migration Policy Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testProtectedCollectionDelete,
+    testAllowedAliasDelete,
+    testTypeChangeAndFieldProtection
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Migration Policy Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All migration policy tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some migration policy tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
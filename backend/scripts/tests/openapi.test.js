@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI Tests
+ * Tests for the public API document built by scripts/lib/openapi.js
+ */
+
+import { PUBLIC_ROLE } from '../lib/access.js';
+import { publicReadAccess, createOpenApi } from '../lib/openapi.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const schema = loadJson('production-1760915387021.json');
+
+const published = { status: { _eq: 'publish' } };
+
+const access = {
+  roles: [{ name: 'Editor' }],
+  policies: [
+    { name: 'Public', roles: [PUBLIC_ROLE] },
+    { name: 'Public Glossary', roles: [PUBLIC_ROLE] },
+    { name: 'Editors', roles: ['Editor'] }
+  ],
+  permissions: [
+    { policy: 'Public', collection: 'articles', action: 'read', fields: ['*'], permissions: published },
+    { policy: 'Public', collection: 'definitions', action: 'read', fields: ['id', 'term'], permissions: null },
+    { policy: 'Public Glossary', collection: 'definitions', action: 'read', fields: ['id', 'definition'], permissions: null },
+    { policy: 'Public', collection: 'global_settings', action: 'read', fields: ['*'], permissions: {} },
+    { policy: 'Public', collection: 'articles', action: 'create', fields: ['*'], permissions: null },
+    { policy: 'Editors', collection: 'pages', action: 'read', fields: ['*'], permissions: null }
+  ]
+};
+
+/**
+ * Test which collections, fields and rows the public role can read
+ */
+function testPublicAccess() {
+  console.log('\n=== Testing Public Access ===');
+
+  try {
+    const readable = publicReadAccess(access);
+
+    assertEqual([...readable.keys()].sort(), ['articles', 'definitions', 'global_settings'], 'Readable collections');
+    console.log('✓ Only read permissions of public policies count');
+
+    assertEqual(readable.get('articles'), { fields: null, filter: published }, 'All fields, published rows');
+    assertEqual(readable.get('definitions'), { fields: ['definition', 'id', 'term'], filter: null }, 'Merged fields');
+    assertEqual(readable.get('global_settings').filter, null, 'Empty filter');
+    console.log('✓ Fields of several public policies add up');
+
+    console.log('Public access tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Public access test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the paths, schemas and contract hash of the document
+ */
+function testDocument() {
+  console.log('\n=== Testing Document ===');
+
+  try {
+    const document = createOpenApi(schema, access, { version: '2.1.0', serverUrl: 'https://cms.example.org' });
+
+    assertEqual(document.openapi, '3.1.0', 'OpenAPI version');
+    assertEqual(document.info.version, '2.1.0', 'API version');
+    assertEqual(document.servers, [{ url: 'https://cms.example.org' }], 'Servers');
+    assertEqual(Object.keys(document.paths), [
+      '/items/articles',
+      '/items/articles/{id}',
+      '/items/definitions',
+      '/items/definitions/{id}',
+      '/items/global_settings'
+    ], 'Paths');
+    console.log('✓ Collections get list and item paths, singletons one path');
+
+    assertEqual(Object.keys(document.components.schemas.Definitions.properties), ['definition', 'id', 'term'], 'Readable fields');
+    assertEqual(Object.keys(document.components.schemas.DefinitionsFilter.properties), ['definition', 'id', 'term'], 'Filterable fields');
+    assertEqual(document.paths['/items/articles/{id}'].get.parameters[0].schema, { type: 'string', format: 'uuid' }, 'Key parameter');
+    console.log('✓ Schemas and filters only hold readable fields');
+
+    const list = document.paths['/items/articles'].get;
+    if (!list.description.includes('"publish"')) {
+      throw new Error('The row filter is not described');
+    }
+    assertEqual(list.responses[200].content['application/json'].example.data[0].status, 'publish', 'Example status');
+    console.log('✓ Row filters are described and used in examples');
+
+    const again = createOpenApi(schema, access, { version: '2.2.0' });
+    const narrower = createOpenApi(schema, { ...access, permissions: access.permissions.slice(1) });
+    assertEqual(again.info['x-contract-hash'], document.info['x-contract-hash'], 'Hash ignores version and server');
+    if (narrower.info['x-contract-hash'] === document.info['x-contract-hash']) {
+      throw new Error('Contract hash did not change with the permissions');
+    }
+    console.log('✓ Contract hash follows the paths and schemas only');
+
+    console.log('Document tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Document test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all OpenAPI tests
+ */
+function runAllTests() {
+  console.log('Starting OpenAPI Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testPublicAccess,
+    testDocument
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== OpenAPI Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All OpenAPI tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some OpenAPI tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
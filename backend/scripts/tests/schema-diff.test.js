@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * Schema Diff Analysis Tests
+ * Tests for scripts/lib/schema-diff.js against the saved snapshots and diffs
+ */
+
+import { analyzeDiff, classifyEntry, diffSnapshots, filterDiff, findMissingDependencies, hasChanges } from '../lib/schema-diff.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+/**
+ * Test classification of whole-item creates, deletes and updates
+ */
+function testClassifyEntry() {
+  console.log('\n=== Testing Entry Classification ===');
+
+  try {
+    assertEqual(classifyEntry({ diff: [{ kind: 'N', rhs: {} }] }), 'create', 'New item');
+    assertEqual(classifyEntry({ diff: [{ kind: 'D', lhs: {} }] }), 'delete', 'Deleted item');
+    assertEqual(classifyEntry({ diff: [{ kind: 'E', path: ['meta', 'icon'], lhs: 'a', rhs: 'b' }] }), 'update', 'Edited property');
+    assertEqual(classifyEntry({ diff: [{ kind: 'D', path: ['meta', 'note'], lhs: 'a' }] }), 'update', 'Deleted property');
+    console.log('✓ Entries are classified as create, update or delete');
+
+    console.log('Entry classification tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Entry classification test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test summary counts for a diff returned by Directus
+ */
+function testAnalyzeSavedDiff() {
+  console.log('\n=== Testing Saved Diff Analysis ===');
+
+  try {
+    const { stats } = analyzeDiff(loadJson('diff-1760915387520.json'));
+
+    assertEqual(stats.collections, { create: 6, update: 4, delete: 0 }, 'Collection counts');
+    assertEqual(stats.fields, { create: 50, update: 15, delete: 2 }, 'Field counts');
+    assertEqual(stats.relations, { create: 3, update: 2, delete: 2 }, 'Relation counts');
+    assertEqual(stats.total, 84, 'Total changes');
+    console.log('✓ Saved diff counts match');
+
+    console.log('Saved diff analysis tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Saved diff analysis test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that a collection delete is reported (the stale local "pages" case)
+ */
+function testCollectionDelete() {
+  console.log('\n=== Testing Collection Delete Detection ===');
+
+  try {
+    const { stats, changes } = analyzeDiff(loadJson('diff-1760910940224.json'));
+    const deletes = changes
+      .filter(change => change.action === 'delete')
+      .map(change => `${change.type}:${change.name}`);
+
+    assertEqual(stats.collections.delete, 1, 'Deleted collections');
+    if (!deletes.includes('collection:pages')) {
+      throw new Error('Delete of the pages collection was not reported');
+    }
+    console.log('✓ Delete of the pages collection is reported');
+
+    console.log('Collection delete tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Collection delete test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that the offline diff reproduces the diff Directus returned
+ */
+function testOfflineDiffMatchesServer() {
+  console.log('\n=== Testing Offline Diff ===');
+
+  try {
+    const offline = diffSnapshots(
+      loadJson('production-1760915387021.json'),
+      loadJson('local-1760915386721.json')
+    );
+    const server = loadJson('diff-1760915387520.json');
+
+    // Record order within an entry is not significant
+    const normalize = entries => entries
+      .map(entry => JSON.stringify({ ...entry, diff: entry.diff.map(record => JSON.stringify(record)).sort() }))
+      .sort();
+
+    for (const section of ['collections', 'fields', 'relations']) {
+      const expected = normalize(server.diff[section]);
+      const mismatches = normalize(offline.diff[section]).filter(entry => !expected.includes(entry));
+      if (mismatches.length > 0 || offline.diff[section].length !== expected.length) {
+        throw new Error(`Offline ${section} differ from the Directus diff (${mismatches.length} mismatched entries)`);
+      }
+    }
+    console.log('✓ Offline diff matches the Directus diff');
+
+    console.log('Offline diff tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Offline diff test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that pointing a relation at another collection is an update, not a
+ * delete and a create
+ */
+function testRelationRetarget() {
+  console.log('\n=== Testing Relation Retarget ===');
+
+  try {
+    const current = loadJson('production-1760915387021.json');
+    const target = structuredClone(current);
+    const relation = target.relations.find(item => item.collection === 'ai_prompts' && item.field === 'user_created');
+    relation.related_collection = 'directus_roles';
+    relation.meta.one_collection = 'directus_roles';
+    relation.schema.foreign_key_table = 'directus_roles';
+
+    const diff = diffSnapshots(current, target);
+    assertEqual(diff.diff.relations.map(entry => [entry.collection, entry.field, entry.related_collection, classifyEntry(entry)]),
+      [['ai_prompts', 'user_created', 'directus_users', 'update']], 'Relation entries');
+
+    const { stats, changes } = analyzeDiff(diff);
+    assertEqual(stats.relations, { create: 0, update: 1, delete: 0 }, 'Relation counts');
+    if (changes.some(change => change.action === 'delete')) {
+      throw new Error('Retargeted relation reported as a delete');
+    }
+    console.log('✓ A retargeted relation is a single update');
+
+    console.log('Relation retarget tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Relation retarget test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test empty diff detection
+ */
+function testHasChanges() {
+  console.log('\n=== Testing Empty Diff Detection ===');
+
+  try {
+    const snapshot = loadJson('production-1760915387021.json');
+
+    assertEqual(hasChanges(null), false, 'Null diff');
+    assertEqual(hasChanges(diffSnapshots(snapshot, snapshot)), false, 'Identical snapshots');
+    assertEqual(hasChanges(loadJson('diff-1760915387520.json')), true, 'Saved diff');
+    console.log('✓ Empty diffs are detected');
+
+    console.log('Empty diff tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Empty diff test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test --only / --exclude selection of diff entries
+ */
+function testFilterDiff() {
+  console.log('\n=== Testing Diff Filtering ===');
+
+  try {
+    const diff = loadJson('diff-1760910940224.json');
+
+    const only = analyzeDiff(filterDiff(diff, { only: ['video_embeds'] })).stats;
+    assertEqual(only.collections, { create: 1, update: 0, delete: 0 }, 'Only video_embeds collections');
+    assertEqual(only.fields.create, 14, 'Only video_embeds fields');
+    assertEqual(only.relations.create, 3, 'Only video_embeds relations');
+    console.log('✓ --only keeps a collection with its fields and relations');
+
+    const excluded = filterDiff(diff, { exclude: ['settings'] });
+    const collections = excluded.diff.collections.map(entry => entry.collection);
+    assertEqual(collections.includes('settings'), false, 'settings excluded');
+    assertEqual(collections.includes('global_settings'), true, 'global_settings kept');
+    assertEqual(excluded.hash, diff.hash, 'Hash kept');
+    console.log('✓ --exclude matches whole collection names only');
+
+    const field = filterDiff(diff, { only: ['video_embeds.slides'] });
+    assertEqual(field.diff.collections.length, 0, 'No collection entries');
+    assertEqual(field.diff.fields.map(entry => entry.field), ['slides'], 'Single field');
+    assertEqual(field.diff.relations.map(entry => entry.field), ['slides'], 'Single relation');
+    assertEqual(findMissingDependencies(field, diff), ['video_embeds.slides needs new collection video_embeds, which is filtered out'], 'Missing collection');
+    assertEqual(findMissingDependencies(filterDiff(diff, { only: ['video_embeds'] }), diff), [], 'Whole collection has no missing dependencies');
+    console.log('✓ collection.field patterns select single fields and report missing collections');
+
+    console.log('Diff filtering tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Diff filtering test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all schema diff tests
+ */
+function runAllTests() {
+  console.log('Starting Schema Diff Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testClassifyEntry,
+    testAnalyzeSavedDiff,
+    testCollectionDelete,
+    testOfflineDiffMatchesServer,
+    testRelationRetarget,
+    testHasChanges,
+    testFilterDiff
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Schema Diff Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All schema diff tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some schema diff tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
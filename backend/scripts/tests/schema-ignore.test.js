@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Schema Ignore Rule Tests
+ * Tests for leaving extension-managed fields out of snapshots and diffs (scripts/lib/ignore.js)
+ */
+
+import * as path from 'path';
+import { loadIgnoreRules, ignoredBy, withoutIgnored, ignoreChanges, IGNORE_LIST } from '../lib/ignore.js';
+import { diffSnapshots, analyzeDiff } from '../lib/schema-diff.js';
+import { assertEqual, loadJson, SNAPSHOT_DIR } from './helpers.js';
+
+// Test configuration
+const local = loadJson('local-1760915386721.json');
+const production = loadJson('production-1760915387021.json');
+
+const rules = loadIgnoreRules();
+
+/**
+ * Test matching fields by glob and by extension interface
+ */
+function testMatching() {
+  console.log('\n=== Testing Matching ===');
+
+  try {
+    const settings = production.fields.find(field => field.field === 'collaborative_editing_settings');
+    const collab = production.fields.find(field => field.field === 'collab_articles');
+    const content = production.fields.find(field => field.collection === 'articles' && field.field === 'content');
+
+    assertEqual(ignoredBy(settings, rules), 'collaborative-editing', 'Settings field');
+    assertEqual(ignoredBy(collab, rules), 'collaborative-editing', 'Alias field');
+    assertEqual(ignoredBy(content, rules), null, 'Content field');
+    console.log('✓ The default rules cover the collaborative-editing fields only');
+
+    const byInterface = { fields: [], extensions: { collab: { interfaces: ['presentation-collab-*'] } } };
+    const byName = { fields: ['articles.cont*'], extensions: {} };
+    assertEqual(ignoredBy({ ...collab, field: 'renamed' }, byInterface), 'collab', 'Interface');
+    assertEqual(ignoredBy(content, byName), IGNORE_LIST, 'Glob');
+    console.log('✓ Fields are matched by interface owner or collection.field glob');
+
+    assertEqual(loadIgnoreRules(path.join(SNAPSHOT_DIR, 'missing.json')), { fields: [], extensions: {} }, 'No ignore file');
+    console.log('✓ Without an ignore file nothing is ignored');
+
+    console.log('Matching tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Matching test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that ignored fields leave snapshots and diffs
+ */
+function testSnapshotsAndDiffs() {
+  console.log('\n=== Testing Snapshots and Diffs ===');
+
+  try {
+    const stripped = withoutIgnored(production, rules);
+    if (stripped.fields.some(field => ignoredBy(field, rules))) {
+      throw new Error('Ignored fields left in the snapshot');
+    }
+    assertEqual(production.fields.length - stripped.fields.length, 9, 'Fields removed');
+    console.log('✓ Snapshots lose ignored fields only');
+
+    // local lacks pages.collab_pages, so applying it to production would drop the field
+    const { diff, ignored } = ignoreChanges(diffSnapshots(production, local), rules);
+    assertEqual(ignored, [{ name: 'pages.collab_pages', owner: 'collaborative-editing' }], 'Ignored changes');
+    if (analyzeDiff(diff).changes.some(change => change.name === 'pages.collab_pages')) {
+      throw new Error('Delete of pages.collab_pages left in the diff');
+    }
+    console.log('✓ Deletes of extension fields are dropped from the diff');
+
+    const relation = {
+      hash: 'abc',
+      diff: {
+        collections: [],
+        fields: [],
+        relations: [{ collection: 'articles', field: 'collab_articles', related_collection: 'directus_users', diff: [{ kind: 'N', rhs: {} }] }]
+      }
+    };
+    const result = ignoreChanges(relation, rules);
+    assertEqual([result.diff.hash, result.diff.diff.relations.length, result.ignored[0].name], ['abc', 0, 'articles.collab_articles (relation)'], 'Relation');
+    console.log('✓ Relations on ignored fields are dropped and the hash is kept');
+
+    console.log('Snapshot and diff tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Snapshot and diff test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that collections owned by an extension leave snapshots and diffs whole
+ */
+function testCollections() {
+  console.log('\n=== Testing Ignored Collections ===');
+
+  try {
+    const locks = { collection: 'migration_locks', meta: { hidden: true }, schema: { name: 'migration_locks' } };
+    const generation = { collection: 'migration_locks', field: 'generation', type: 'integer', meta: {}, schema: { is_primary_key: true } };
+    const toLocks = { collection: 'articles', field: 'last_lock', related_collection: 'migration_locks', meta: {}, schema: {} };
+    const snapshot = {
+      ...production,
+      collections: [...production.collections, locks],
+      fields: [...production.fields, generation],
+      relations: [...production.relations, toLocks]
+    };
+
+    assertEqual(ignoredBy(generation, rules), 'migration-lock', 'Field of an ignored collection');
+    assertEqual(withoutIgnored(snapshot, rules), withoutIgnored(production, rules), 'Stripped snapshot');
+    console.log('✓ Snapshots lose the collection, its fields and relations to it');
+
+    const diff = {
+      hash: 'abc',
+      diff: {
+        collections: [{ collection: 'migration_locks', diff: [{ kind: 'D', lhs: locks }] }],
+        fields: [{ collection: 'migration_locks', field: 'generation', diff: [{ kind: 'D', lhs: generation }] }],
+        relations: [{ collection: 'articles', field: 'last_lock', diff: [{ kind: 'D', lhs: toLocks }] }]
+      }
+    };
+    const result = ignoreChanges(diff, rules);
+    assertEqual(analyzeDiff(result.diff).stats.total, 0, 'Changes left');
+    assertEqual(result.ignored.map(item => item.name),
+      ['migration_locks', 'migration_locks.generation', 'articles.last_lock (relation)'], 'Ignored changes');
+    console.log('✓ Deletes of the collection, its fields and relations to it are dropped from the diff');
+
+    console.log('Ignored collection tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Ignored collection test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all schema ignore rule tests
+ */
+function runAllTests() {
+  console.log('Starting Schema Ignore Rule Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testMatching,
+    testSnapshotsAndDiffs,
+    testCollections
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Schema Ignore Rule Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All schema ignore rule tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some schema ignore rule tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
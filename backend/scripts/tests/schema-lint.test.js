@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Schema Lint Tests
+ * Tests for the lint rules and their configuration in scripts/lib/lint.js
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { loadLintConfig, lintSnapshot, countViolations } from '../lib/lint.js';
+import { assertEqual, loadJson, SNAPSHOT_DIR } from './helpers.js';
+
+// Test configuration
+const local = loadJson('local-1760915386721.json');
+
+const targets = (violations, rule) => violations.filter(item => item.rule === rule).map(item => item.target);
+
+/**
+ * Test each rule against the local snapshot
+ */
+function testRules() {
+  console.log('\n=== Testing Lint Rules ===');
+
+  try {
+    const violations = lintSnapshot(local);
+
+    assertEqual(targets(violations, 'relation-on-delete'), ['global_settings.user_updated'], 'on_delete');
+    console.log('✓ Relations with NO ACTION on delete are reported');
+
+    if (!targets(violations, 'timestamp-style').includes('articles.created_at') ||
+      targets(violations, 'timestamp-style').includes('video_embeds.date_created')) {
+      throw new Error('The less used timestamp style is not the one reported');
+    }
+    console.log('✓ Without a configured style the less used timestamp style is reported');
+
+    if (!targets(violations, 'require-status').includes('definitions') ||
+      targets(violations, 'require-status').includes('home_page')) {
+      throw new Error('Status check covers the wrong collections');
+    }
+    console.log('✓ Content collections need a status field, singletons do not');
+
+    const slugs = lintSnapshot({
+      ...local,
+      fields: local.fields.map(field => field.collection === 'pages' && field.field === 'slug'
+        ? { ...field, schema: { ...field.schema, is_unique: false } }
+        : field)
+    });
+    assertEqual(targets(slugs, 'unique-slug'), ['pages.slug'], 'Unique slug');
+    console.log('✓ Slug fields that are not unique are reported');
+
+    console.log('Lint rule tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Lint rule test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test levels, options and ignores from the lint config
+ */
+function testConfig() {
+  console.log('\n=== Testing Lint Config ===');
+
+  try {
+    const violations = lintSnapshot(local, {
+      ignore: ['global_*'],
+      rules: {
+        'require-status': { level: 'off' },
+        'timestamp-style': { level: 'error', style: 'created_at', exclude: ['video_embeds'] }
+      }
+    });
+
+    assertEqual(targets(violations, 'require-status'), [], 'Rule off');
+    assertEqual(targets(violations, 'relation-on-delete'), [], 'Ignored collection');
+    assertEqual(targets(violations, 'timestamp-style'), ['ai_prompts.date_created', 'ai_prompts.date_updated', 'pages.date_updated'], 'Configured style');
+    assertEqual(countViolations(violations), { errors: 3, warnings: 0 }, 'Counts');
+    console.log('✓ Levels, styles, excludes and ignores are applied');
+
+    const config = loadLintConfig();
+    assertEqual(countViolations(lintSnapshot(local, config)).errors, 1, 'Repository config');
+    console.log('✓ The repository config loads');
+
+    const file = path.join(SNAPSHOT_DIR, `lint-config-test-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify({ rules: { 'no-such-rule': { level: 'error' } } }));
+    try {
+      loadLintConfig(file);
+      throw new Error('Unknown rule was accepted');
+    } catch (error) {
+      if (!error.message.includes('no-such-rule')) throw error;
+    } finally {
+      fs.unlinkSync(file);
+    }
+    console.log('✓ Unknown rules are refused');
+
+    console.log('Lint config tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Lint config test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all schema lint tests
+ */
+function runAllTests() {
+  console.log('Starting Schema Lint Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testRules,
+    testConfig
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Schema Lint Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All schema lint tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some schema lint tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
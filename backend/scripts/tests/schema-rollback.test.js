@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Schema Rollback Tests
+ * Tests for listing what a schema rollback cannot restore in scripts/lib/rollback.js
+ */
+
+import { findIrreversibleChanges } from '../lib/rollback.js';
+import { diffSnapshots } from '../lib/schema-diff.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const local = loadJson('local-1760915386721.json');
+const production = loadJson('production-1760915387021.json');
+
+// Collections local has and the production snapshot lacks
+const NEW_COLLECTIONS = ['ai_agent_settings', 'ai_assistant_settings', 'home_page', 'latest_updates', 'text_amendments', 'video_embeds'];
+
+/**
+ * Test rolling local back to the older production snapshot, which drops
+ * what was added since
+ */
+function testRollbackDrops() {
+  console.log('\n=== Testing Rollback Drops ===');
+
+  try {
+    const irreversible = findIrreversibleChanges(diffSnapshots(local, production));
+
+    assertEqual(irreversible.map(item => item.name), [...NEW_COLLECTIONS, 'pages.sort'], 'Irreversible changes');
+    assertEqual(irreversible[0].message,
+      'collection ai_agent_settings did not exist in the snapshot - its data is dropped, not archived', 'Collection message');
+    assertEqual(irreversible.at(-1).message,
+      'field pages.sort did not exist in the snapshot - its data is dropped, not archived', 'Field message');
+    console.log('✓ Collections and fields added since the snapshot are reported as dropped');
+
+    console.log('Rollback drop tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Rollback drop test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test rolling production back to the local snapshot, which recreates what
+ * production lacks
+ */
+function testRollbackRecreates() {
+  console.log('\n=== Testing Rollback Recreates ===');
+
+  try {
+    const irreversible = findIrreversibleChanges(diffSnapshots(production, local));
+    const names = irreversible.map(item => item.name);
+
+    assertEqual(names.slice(0, NEW_COLLECTIONS.length), NEW_COLLECTIONS, 'Recreated collections');
+    assertEqual(irreversible[0].message,
+      'collection ai_agent_settings is recreated empty - rows deleted since the snapshot are not restored', 'Collection message');
+    assertEqual(irreversible.find(item => item.name === 'video_embeds.url').message,
+      'field video_embeds.url is recreated empty - values deleted since the snapshot are not restored', 'Field message');
+    assertEqual(irreversible.length, 56, 'Irreversible changes');
+    console.log('✓ Recreated collections and fields are reported as empty');
+
+    // production's collaborative-editing alias is deleted, but holds no data
+    if (names.includes('pages.collab_pages')) {
+      throw new Error('Alias field pages.collab_pages reported as irreversible');
+    }
+    if (names.some(name => !name.includes('.') && !NEW_COLLECTIONS.includes(name))) {
+      throw new Error('Collection updates or relations reported as irreversible');
+    }
+    console.log('✓ Alias fields, updates and relations are left out');
+
+    console.log('Rollback recreate tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Rollback recreate test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that a type change in a rollback is reported as a lossy conversion
+ */
+function testRollbackTypeChange() {
+  console.log('\n=== Testing Rollback Type Change ===');
+
+  try {
+    const diff = {
+      hash: 'test',
+      diff: {
+        collections: [],
+        fields: [{ collection: 'articles', field: 'views', diff: [{ kind: 'E', path: ['type'], lhs: 'string', rhs: 'integer' }] }],
+        relations: []
+      }
+    };
+
+    assertEqual(findIrreversibleChanges(diff), [{
+      name: 'articles.views',
+      message: 'field articles.views is converted back (string → integer) - values may not survive the conversion'
+    }], 'Type change');
+    console.log('✓ Type changes are reported as conversions that may lose values');
+
+    console.log('Rollback type change tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Rollback type change test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all schema rollback tests
+ */
+function runAllTests() {
+  console.log('Starting Schema Rollback Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testRollbackDrops,
+    testRollbackRecreates,
+    testRollbackTypeChange
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Schema Rollback Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All schema rollback tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some schema rollback tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Schema as Code Tests
+ * Tests for the directory-tree export and import in scripts/lib/schema-tree.js
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { exportSchemaTree, importSchemaTree } from '../lib/schema-tree.js';
+import { diffSnapshots, hasChanges } from '../lib/schema-diff.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'schema-tree-'));
+}
+
+function readTree(dir) {
+  const files = {};
+  for (const file of fs.readdirSync(path.join(dir, 'collections'))) {
+    files[file] = fs.readFileSync(path.join(dir, 'collections', file), 'utf8');
+  }
+  files['schema.json'] = fs.readFileSync(path.join(dir, 'schema.json'), 'utf8');
+  return files;
+}
+
+/**
+ * Test that importing an export gives back the same schema
+ */
+function testRoundTrip() {
+  console.log('\n=== Testing Export/Import Round Trip ===');
+  const dir = tempDir();
+
+  try {
+    const snapshot = loadJson('local-1760915386721.json');
+    exportSchemaTree(snapshot, dir);
+
+    if (!fs.existsSync(path.join(dir, 'collections', 'articles.json'))) {
+      throw new Error('No file written for the articles collection');
+    }
+    if (!fs.existsSync(path.join(dir, 'collections', 'directus_settings.json'))) {
+      throw new Error('No file written for fields on directus_settings');
+    }
+    console.log('✓ One file per collection, including system collections with custom fields');
+
+    const rebuilt = importSchemaTree(dir);
+    if (hasChanges(diffSnapshots(snapshot, rebuilt))) {
+      throw new Error('Rebuilt snapshot differs from the original');
+    }
+    if (rebuilt.directus !== snapshot.directus || rebuilt.vendor !== snapshot.vendor) {
+      throw new Error('Version metadata was not restored');
+    }
+    console.log('✓ Rebuilt snapshot matches the original');
+
+    console.log('Round trip tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Round trip test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that the output does not depend on snapshot order
+ */
+function testCanonicalOutput() {
+  console.log('\n=== Testing Canonical Output ===');
+  const first = tempDir();
+  const second = tempDir();
+
+  try {
+    const snapshot = loadJson('production-1760915387021.json');
+    const shuffled = {
+      ...snapshot,
+      collections: [...snapshot.collections].reverse(),
+      fields: [...snapshot.fields].reverse(),
+      relations: [...snapshot.relations].reverse()
+    };
+
+    exportSchemaTree(snapshot, first);
+    exportSchemaTree(shuffled, second);
+
+    if (JSON.stringify(readTree(first)) !== JSON.stringify(readTree(second))) {
+      throw new Error('Reordered snapshot produced different files');
+    }
+    console.log('✓ Entry order does not change the files');
+
+    fs.writeFileSync(path.join(first, 'collections', 'removed.json'), '{}');
+    exportSchemaTree(snapshot, first);
+    if (fs.existsSync(path.join(first, 'collections', 'removed.json'))) {
+      throw new Error('Stale collection file was kept');
+    }
+    console.log('✓ Files of removed collections are deleted on export');
+
+    console.log('Canonical output tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Canonical output test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(first, { recursive: true, force: true });
+    fs.rmSync(second, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that entries are written unchanged: snapshots hold no volatile keys
+ * that would need normalizing
+ */
+function testEntriesUnchanged() {
+  console.log('\n=== Testing Entries Written Unchanged ===');
+  const dir = tempDir();
+
+  try {
+    const snapshot = loadJson('production-1760915387021.json');
+    exportSchemaTree(snapshot, dir);
+
+    const document = JSON.parse(fs.readFileSync(path.join(dir, 'collections', 'ai_prompts.json'), 'utf8'));
+    const relation = document.relations.find(item => item.field === 'user_created');
+    const original = snapshot.relations.find(item => item.collection === 'ai_prompts' && item.field === 'user_created');
+    if (hasChanges(diffSnapshots({ relations: [original] }, { relations: [relation] }))) {
+      throw new Error('Exported relation differs from the snapshot');
+    }
+    assertEqual(relation.schema.constraint_name, 'ai_prompts_user_created_foreign', 'Constraint name');
+    const field = snapshot.fields.find(item => item.collection === 'ai_prompts' && item.meta?.sort != null);
+    assertEqual(document.fields.find(item => item.field === field.field).meta.sort, field.meta.sort, 'Field sort');
+    console.log('✓ Constraint names and field sort are kept as the snapshot has them');
+
+    const text = Object.values(readTree(dir)).join('\n');
+    if (/"id":/.test(text)) {
+      throw new Error('Exported tree contains row ids');
+    }
+    console.log('✓ No row ids in the exported tree');
+
+    console.log('Unchanged entry tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Unchanged entry test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run all schema as code tests
+ */
+function runAllTests() {
+  console.log('Starting Schema as Code Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testRoundTrip,
+    testCanonicalOutput,
+    testEntriesUnchanged
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Schema as Code Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All schema as code tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some schema as code tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Snapshot Retention Tests
+ * Tests for deduplication, the snapshot index and pruning in scripts/lib/snapshots.js
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { INDEX_FILE, readIndex, removeSnapshots, saveDiff, saveSnapshot, selectPrunable } from '../lib/snapshots.js';
+import { hashContent } from '../lib/hash.js';
+import { filterDiff } from '../lib/schema-diff.js';
+import { assertEqual, loadJson, SNAPSHOT_DIR } from './helpers.js';
+
+function entry(source, minute, hash) {
+  return {
+    file: `${source}-${1760910000000 + minute * 60000}.json`,
+    kind: 'snapshot',
+    source,
+    hash,
+    createdAt: new Date(1760910000000 + minute * 60000).toISOString()
+  };
+}
+
+/**
+ * Test that unchanged snapshots are not written twice and are indexed
+ */
+function testDeduplication() {
+  console.log('\n=== Testing Snapshot Deduplication ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+
+  try {
+    const snapshot = loadJson('production-1760915387021.json');
+
+    const first = saveSnapshot('production', snapshot, dir);
+    const second = saveSnapshot('production', snapshot, dir);
+    assertEqual(first.duplicate, false, 'First save');
+    assertEqual(second.duplicate, true, 'Second save');
+    assertEqual(second.file, first.file, 'Duplicate points at the saved file');
+    assertEqual(fs.readdirSync(dir).sort(), [first.file, INDEX_FILE].sort(), 'Files written');
+    console.log('✓ An unchanged snapshot is not written again');
+
+    const [indexed] = readIndex(dir);
+    assertEqual(
+      [indexed.source, indexed.kind, indexed.directus, indexed.hash],
+      ['production', 'snapshot', '11.12.0', hashContent(snapshot)],
+      'Index entry'
+    );
+    console.log('✓ The index records source, Directus version and hash');
+
+    const diff = saveDiff(loadJson('diff-1760915387520.json'), 'production', dir);
+    assertEqual(diff.duplicate, false, 'Diff is not a duplicate of a snapshot');
+    console.log('✓ Diffs are deduplicated separately from snapshots');
+
+    fs.copyFileSync(path.join(SNAPSHOT_DIR, 'local-1760915386721.json'), path.join(dir, 'local-1760915386721.json'));
+    if (!readIndex(dir).some(item => item.file === 'local-1760915386721.json' && item.source === 'local')) {
+      throw new Error('Unindexed file was not added to the index');
+    }
+    console.log('✓ Files saved before the index existed are added to it');
+
+    console.log('Deduplication tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Deduplication test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the retention rules
+ */
+function testRetentionRules() {
+  console.log('\n=== Testing Retention Rules ===');
+
+  try {
+    const entries = [
+      entry('production', 1, 'a'),
+      entry('production', 2, 'b'),
+      entry('production', 3, 'c'),
+      entry('production', 4, 'c'),
+      entry('production', 5, 'd'),
+      entry('local', 1, 'x')
+    ];
+    const ledger = [
+      { outcome: 'applied', targetSnapshotHash: 'a' },
+      { outcome: 'failed', targetSnapshotHash: 'b' }
+    ];
+
+    const { kept, removed } = selectPrunable(entries, { keep: 2, ledger });
+    const keptFiles = kept.map(item => item.entry.file).sort();
+    const removedFiles = removed.map(item => item.entry.file).sort();
+
+    assertEqual(keptFiles, [entries[5].file, entries[0].file, entries[3].file, entries[4].file].sort(), 'Kept');
+    assertEqual(removedFiles, [entries[1].file, entries[2].file].sort(), 'Removed');
+    console.log('✓ Last N per environment and applied migration references are kept');
+    console.log('✓ Older duplicates and unreferenced old snapshots are removed');
+
+    console.log('Retention rule tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Retention rule test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test that removing snapshots updates the index
+ */
+function testRemoveSnapshots() {
+  console.log('\n=== Testing Snapshot Removal ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+
+  try {
+    const saved = saveSnapshot('local', loadJson('local-1760915386721.json'), dir);
+    const remaining = removeSnapshots([saved], dir);
+
+    assertEqual(remaining, [], 'Index after removal');
+    assertEqual(fs.existsSync(saved.path), false, 'File deleted');
+    console.log('✓ Removed files are dropped from the index');
+
+    console.log('Snapshot removal tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Snapshot removal test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test that the diff a filtered migration applied survives pruning
+ */
+function testFilteredMigration() {
+  console.log('\n=== Testing Filtered Migration ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+
+  // Saved files are named by the millisecond
+  const nextMillisecond = () => {
+    const start = Date.now();
+    while (Date.now() === start);
+  };
+
+  try {
+    const full = loadJson('diff-1760915387520.json');
+    const selected = filterDiff(full, { only: ['video_embeds'] });
+
+    // generateDiff saves the full diff, applyDiff the selected one it applies
+    const generated = saveDiff(full, 'production', dir);
+    nextMillisecond();
+    const applied = saveDiff(selected, 'production', dir);
+    nextMillisecond();
+    const later = saveDiff(filterDiff(full, { exclude: ['video_embeds'] }), 'production', dir);
+
+    const ledger = [{ outcome: 'applied', target: 'production', diffHash: hashContent(selected) }];
+    const { kept, removed } = selectPrunable(readIndex(dir), { keep: 1, ledger });
+
+    assertEqual(kept.map(item => [item.entry.file, item.reason]), [
+      [later.file, 'one of the last 1'],
+      [applied.file, 'referenced by an applied migration']
+    ], 'Kept');
+    assertEqual(removed.map(item => item.entry.file), [generated.file], 'Removed');
+    console.log('✓ The selected diff recorded in the ledger is kept; the unfiltered one can be pruned');
+
+    console.log('Filtered migration tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ Filtered migration test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run all snapshot retention tests
+ */
+function runAllTests() {
+  console.log('Starting Snapshot Retention Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testDeduplication,
+    testRetentionRules,
+    testRemoveSnapshots,
+    testFilteredMigration
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Snapshot Retention Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All snapshot retention tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some snapshot retention tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();
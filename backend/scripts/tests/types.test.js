@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Type Generation Tests
+ * Tests for the TypeScript and JSON Schema output of scripts/lib/types.js
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { describeTypes, renderTypeScript, renderJsonSchema, writeTypes } from '../lib/types.js';
+import { assertEqual, loadJson } from './helpers.js';
+
+// Test configuration
+const schema = loadJson('production-1760915387021.json');
+
+function assertIncludes(text, expected, message) {
+  if (!text.includes(expected)) {
+    throw new Error(`${message}: "${expected}" not found`);
+  }
+}
+
+/**
+ * Test the TypeScript interfaces and Schema
+ */
+function testTypeScript() {
+  console.log('\n=== Testing TypeScript ===');
+
+  try {
+    const ts = renderTypeScript(describeTypes(schema), { source: 'production.json' });
+
+    assertIncludes(ts, "import type { DirectusFile, DirectusUser } from '@directus/sdk';", 'SDK imports');
+    assertIncludes(ts, '  category: string | ArticleCategories | null;', 'Relation to a collection');
+    assertIncludes(ts, '  PDF: string | DirectusFile<Schema> | null;', 'Relation to files');
+    assertIncludes(ts, '  slug: string;', 'Non-nullable field');
+    assertIncludes(ts, '  created_at: string | null;', 'Timestamp');
+    console.log('✓ uuid, timestamp, relations and nullability are mapped');
+
+    assertIncludes(ts, '  articles: Articles[];', 'Collection in Schema');
+    assertIncludes(ts, '  global_settings: GlobalSettings;', 'Singleton in Schema');
+    if (ts.includes('collab_articles') || ts.includes('$t:')) {
+      throw new Error('Alias fields without data or translation keys are included');
+    }
+    console.log('✓ Schema lists singletons as single items and leaves out alias fields');
+
+    console.log('TypeScript tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ TypeScript test failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Test the JSON Schemas and the files written
+ */
+function testJsonSchema() {
+  console.log('\n=== Testing JSON Schema ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'types-test-'));
+
+  try {
+    const articles = renderJsonSchema(describeTypes(schema).find(type => type.collection === 'articles'));
+    assertEqual(articles.properties.category, { type: ['string', 'null'], format: 'uuid', description: 'Key of article_categories' }, 'Relation key');
+    assertEqual(articles.properties.created_at, { type: ['string', 'null'], format: 'date-time' }, 'Timestamp');
+    console.log('✓ Relations are keys and nullable fields allow null');
+
+    const categories = renderJsonSchema(describeTypes(schema).find(type => type.collection === 'article_categories'));
+    assertEqual(categories.required, ['name', 'slug'], 'Required fields');
+    console.log('✓ Non-nullable fields without a default are required');
+
+    fs.mkdirSync(path.join(dir, 'json-schema'));
+    fs.writeFileSync(path.join(dir, 'json-schema', 'removed.json'), '{}');
+    const files = writeTypes(schema, dir, { filter: collection => collection.startsWith('article') });
+    assertEqual(files.map(file => path.relative(dir, file)), [
+      'schema.ts',
+      path.join('json-schema', 'article_categories.json'),
+      path.join('json-schema', 'articles.json')
+    ], 'Files written');
+    console.log('✓ One schema per collection is written and stale ones are removed');
+
+    console.log('JSON Schema tests passed');
+    return true;
+  } catch (error) {
+    console.error('❌ JSON Schema test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run all type generation tests
+ */
+function runAllTests() {
+  console.log('Starting Type Generation Tests\n');
+
+  let passed = 0;
+  let total = 0;
+
+  const tests = [
+    testTypeScript,
+    testJsonSchema
+  ];
+
+  tests.forEach(test => {
+    total++;
+    if (test()) {
+      passed++;
+    }
+  });
+
+  // Summary
+  console.log('\n=== Type Generation Test Summary ===');
+  console.log(`Passed: ${passed}/${total}`);
+
+  if (passed === total) {
+    console.log('🎉 All type generation tests passed!');
+    process.exit(0);
+  } else {
+    console.log('❌ Some type generation tests failed');
+    process.exit(1);
+  }
+}
+
+runAllTests();